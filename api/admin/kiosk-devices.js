@@ -0,0 +1,77 @@
+/**
+ * Vercel Serverless Function: Kiosk Devices (admin)
+ *
+ * Manages the wall displays in lib/kiosk-devices.js. Adding a device
+ * returns its token and kiosk URL once; open that URL on the display.
+ * Admin only.
+ *
+ * Usage: GET    /api/admin/kiosk-devices                    list devices
+ *        POST   /api/admin/kiosk-devices { name }           add a device
+ *        DELETE /api/admin/kiosk-devices?id=abc             remove a device (signs it out)
+ */
+
+import { requireAdmin } from '../../lib/session.js';
+import { listDevices, addDevice, removeDevice, KioskError } from '../../lib/kiosk-devices.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With, Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).json({ message: 'OK' });
+  }
+
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await requireAdmin(req, res);
+    if (!session) return;
+
+    if (req.method === 'POST') {
+      const { device, token } = await addDevice((req.body || {}).name);
+      console.log(`📺 ${session.username} added kiosk device ${device.name}`);
+      return res.status(201).json({
+        success: true,
+        device,
+        token,
+        url: `https://${req.headers.host}/?kiosk=${encodeURIComponent(token)}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      const device = await removeDevice(req.query.id);
+      console.log(`📺 ${session.username} removed kiosk device ${device.name}`);
+      return res.status(200).json({
+        success: true,
+        device,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      devices: await listDevices(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof KioskError) {
+      return res.status(error.status).json({
+        error: 'Invalid request',
+        message: error.message
+      });
+    }
+
+    console.error('❌ Kiosk Devices API Error:', error);
+    return res.status(500).json({
+      error: 'Failed to manage kiosk devices',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Vercel Serverless Function: Login Lockouts (admin)
+ *
+ * Lists and clears the login lockouts recorded by lib/login-limiter.js.
+ * Admin only.
+ *
+ * Usage: GET    /api/admin/lockouts                    current lockouts
+ *        DELETE /api/admin/lockouts?scope=ip&id=1.2.3.4 clear one lockout
+ *        DELETE /api/admin/lockouts?all=true           clear every lockout
+ */
+
+import { requireAdmin } from '../../lib/session.js';
+import { listLockouts, clearLockout, SCOPES } from '../../lib/login-limiter.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With, Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).json({ message: 'OK' });
+  }
+
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await requireAdmin(req, res);
+    if (!session) return;
+
+    if (req.method === 'DELETE') {
+      const { scope, id, all } = req.query;
+
+      if (all === 'true') {
+        const lockouts = await listLockouts();
+        await Promise.all(lockouts.map(lockout => clearLockout(lockout.scope, lockout.id)));
+        console.log(`🔓 ${session.username} cleared ${lockouts.length} login lockout(s)`);
+        return res.status(200).json({
+          success: true,
+          cleared: lockouts.length,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (!SCOPES.includes(scope) || !id) {
+        return res.status(400).json({
+          error: 'Invalid parameters',
+          message: `scope (${SCOPES.join(' or ')}) and id are required, or all=true`
+        });
+      }
+
+      await clearLockout(scope, id);
+      console.log(`🔓 ${session.username} cleared login lockout for ${scope} ${id}`);
+      return res.status(200).json({
+        success: true,
+        cleared: 1,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      lockouts: await listLockouts(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Lockouts API Error:', error);
+    return res.status(500).json({
+      error: 'Failed to manage lockouts',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Vercel Serverless Function: Dashboard Users (admin)
+ *
+ * Manages the user store in lib/users.js. Admin only.
+ *
+ * Usage: GET    /api/admin/users                                      list users
+ *        POST   /api/admin/users { username, password, role }         add a user
+ *        PUT    /api/admin/users?username=bob { password?, role? }    reset password / change role
+ *        DELETE /api/admin/users?username=bob                         remove a user
+ */
+
+import { requireAdmin } from '../../lib/session.js';
+import {
+  listUsers,
+  addUser,
+  updateUser,
+  removeUser,
+  UserError
+} from '../../lib/users.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With, Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).json({ message: 'OK' });
+  }
+
+  if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await requireAdmin(req, res);
+    if (!session) return;
+
+    const body = req.body || {};
+    const { username } = req.query;
+
+    if (req.method === 'POST') {
+      const user = await addUser(body);
+      console.log(`👤 ${session.username} added ${user.role} ${user.username}`);
+      return res.status(201).json({ success: true, user, timestamp: new Date().toISOString() });
+    }
+
+    if (req.method === 'PUT') {
+      const user = await updateUser(username, { password: body.password, role: body.role });
+      console.log(`👤 ${session.username} updated ${user.username}${body.password !== undefined ? ' (password reset)' : ''}`);
+      return res.status(200).json({ success: true, user, timestamp: new Date().toISOString() });
+    }
+
+    if (req.method === 'DELETE') {
+      const user = await removeUser(username);
+      console.log(`👤 ${session.username} removed ${user.username}`);
+      return res.status(200).json({ success: true, user, timestamp: new Date().toISOString() });
+    }
+
+    return res.status(200).json({
+      success: true,
+      users: await listUsers(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof UserError) {
+      return res.status(error.status).json({
+        error: 'Invalid request',
+        message: error.message
+      });
+    }
+
+    console.error('❌ Users API Error:', error);
+    return res.status(500).json({
+      error: 'Failed to manage users',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
@@ -1,12 +1,40 @@
 /**
  * Vercel Serverless Function: Dashboard Authentication
  * 
- * This function handles secure login for the WK Weather Dashboard
+ * This function handles secure login for the WK Weather Dashboard.
+ * A successful login sets a signed, expiring HttpOnly session cookie
+ * (see lib/session.js); the data endpoints reject requests without it.
+ * Failed logins are rate limited per IP and per username with escalating
+ * lockouts (see lib/login-limiter.js); locked out clients get 429 with
+ * a Retry-After header.
+ * 
+ * Usage: POST /api/auth { username, password }  log in
+ *        POST /api/auth { kioskToken }           kiosk device sign-in (lib/kiosk-devices.js)
+ *        GET  /api/auth                         current session, 401 if none
+ * 
+ * Users and roles live in lib/users.js; DASHBOARD_USERNAME and
+ * DASHBOARD_PASSWORD are the bootstrap admin until users are added.
+ * 
  * Environment variables required in Vercel:
- * - DASHBOARD_USERNAME
- * - DASHBOARD_PASSWORD
+ * - SESSION_SECRET
+ * - DASHBOARD_USERNAME / DASHBOARD_PASSWORD (bootstrap admin)
  */
 
+import { createSession, createKioskSession, getSession } from '../lib/session.js';
+import { checkLockout, recordFailure, recordSuccess, clientIp } from '../lib/login-limiter.js';
+import { authenticate, hasUsers } from '../lib/users.js';
+import { authenticateDevice } from '../lib/kiosk-devices.js';
+
+function lockedOut(res, lockout) {
+  res.setHeader('Retry-After', String(lockout.retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: 'Too many failed attempts',
+    message: `Too many failed login attempts. Try again in ${Math.ceil(lockout.retryAfter / 60)} minute(s).`,
+    retryAfter: lockout.retryAfter
+  });
+}
+
 export default async function handler(req, res) {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Credentials', true);
@@ -19,7 +47,32 @@ export default async function handler(req, res) {
     return res.status(200).json({ message: 'OK' });
   }
 
-  // Only allow POST requests
+  if (req.method === 'GET') {
+    try {
+      const session = await getSession(req);
+      if (!session) {
+        return res.status(401).json({ success: false, authenticated: false });
+      }
+      return res.status(200).json({
+        success: true,
+        authenticated: true,
+        username: session.username,
+        role: session.role,
+        kiosk: session.kiosk,
+        expiresAt: session.expiresAt
+      });
+    } catch (error) {
+      console.error('Session check error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Session check failed',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Only allow POST requests for login
   if (req.method !== 'POST') {
     return res.status(405).json({ 
       success: false,
@@ -28,18 +81,64 @@ export default async function handler(req, res) {
   }
 
   try {
+    // Kiosk devices sign in with their device token; bad tokens count
+    // against the IP like failed logins
+    const { kioskToken } = req.body || {};
+    if (kioskToken) {
+      if (!process.env.SESSION_SECRET) {
+        return res.status(500).json({
+          success: false,
+          error: 'Authentication not configured',
+          message: 'Please set SESSION_SECRET in Vercel environment variables'
+        });
+      }
+
+      const ip = clientIp(req);
+      const lockout = await checkLockout(ip, null);
+      if (lockout) {
+        return lockedOut(res, lockout);
+      }
+
+      const device = await authenticateDevice(kioskToken);
+      if (!device) {
+        console.log(`Rejected kiosk token from ${ip}`);
+        const newLockout = await recordFailure(ip, null);
+        if (newLockout) {
+          return lockedOut(res, newLockout);
+        }
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid kiosk token',
+          message: 'This kiosk device is not registered'
+        });
+      }
+
+      console.log(`Kiosk sign-in: ${device.name}`);
+      await recordSuccess(ip, null);
+      const session = await createKioskSession(res, device);
+      return res.status(200).json({
+        success: true,
+        message: 'Authentication successful',
+        username: session.username,
+        role: 'viewer',
+        kiosk: true,
+        expiresAt: session.expiresAt,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     // Validate environment variables
-    if (!process.env.DASHBOARD_USERNAME || !process.env.DASHBOARD_PASSWORD) {
-      console.error('Dashboard credentials not configured in environment variables');
+    if (!process.env.SESSION_SECRET || !(await hasUsers())) {
+      console.error('Dashboard authentication not configured');
       return res.status(500).json({
         success: false,
         error: 'Authentication not configured',
-        message: 'Please set DASHBOARD_USERNAME and DASHBOARD_PASSWORD in Vercel environment variables'
+        message: 'Please set SESSION_SECRET, DASHBOARD_USERNAME and DASHBOARD_PASSWORD in Vercel environment variables'
       });
     }
 
     // Get credentials from request body
-    const { username, password } = req.body;
+    const { username, password } = req.body || {};
 
     // Validate request
     if (!username || !password) {
@@ -50,25 +149,40 @@ export default async function handler(req, res) {
       });
     }
 
-    // Check credentials against environment variables
-    const validUsername = process.env.DASHBOARD_USERNAME;
-    const validPassword = process.env.DASHBOARD_PASSWORD;
+    const ip = clientIp(req);
+    const lockout = await checkLockout(ip, username);
+    if (lockout) {
+      console.log(`Rejected login for user ${username} from ${ip}: ${lockout.scope} locked out`);
+      return lockedOut(res, lockout);
+    }
+
+    // Unknown usernames are checked against a dummy hash,
+    // so timing does not reveal which usernames exist
+    const user = await authenticate(username, password);
 
-    if (username === validUsername && password === validPassword) {
+    if (user) {
       // Successful authentication
       console.log(`Successful login attempt for user: ${username}`);
       
+      await recordSuccess(ip, username);
+      const session = await createSession(res, user.username);
+      
       return res.status(200).json({
         success: true,
         message: 'Authentication successful',
+        username: user.username,
+        role: user.role,
+        expiresAt: session.expiresAt,
         timestamp: new Date().toISOString()
       });
     } else {
       // Failed authentication
-      console.log(`Failed login attempt for user: ${username}`);
+      console.log(`Failed login attempt for user: ${username} from ${ip}`);
       
-      // Add a small delay to prevent brute force attacks
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      const newLockout = await recordFailure(ip, username);
+      if (newLockout) {
+        return lockedOut(res, newLockout);
+      }
       
       return res.status(401).json({
         success: false,
@@ -1,213 +1,43 @@
 /**
- * Vercel Serverless Function: Weather Data Cache (NO REDIS - TEMPORARY)
+ * Vercel Serverless Function: Weather Data Cache
  * 
- * This version works WITHOUT Redis to unblock deployment
- * Always fetches fresh data
- * Includes in-memory temperature history for 12-hour trend
+ * Always fetches fresh data via lib/data-sources.js. Each source (fnugg,
+ * yr, homey) succeeds or fails on its own and falls back to its last good
+ * value; per-source status/fetchedAt/ageSeconds/error is returned in
+ * data.sources
+ * The yr source holds separate Met.no forecasts for the top, stadium and
+ * bottom elevations (cached per point by lib/met-no.js) and the freezing
+ * level where top and bottom disagree
+ * data.derived has wind chill, feels-like, dew point, wet-bulb and frost
+ * point for Homey and the top and bottom stations, and every forecast entry
+ * carries its own as entry.derived - see lib/derived-metrics.js
+ * data.derived.snowmaking has the wet-bulb snowmaking windows for the next
+ * 72 hours - see lib/snowmaking.js
+ * data.derived.snowQuality estimates the snow surface at the top and
+ * bottom stations - see lib/snow-quality.js
+ * data.derived.activeEvents lists the inversions and freeze-thaw cycles
+ * in progress (lib/weather-events.js; recent ones from /api/weather-events)
+ * Temperature history is persisted in Redis (in-memory fallback) with
+ * 5-minute, hourly and daily resolutions - see lib/temperature-history.js
+ * 
+ * Resorts come from the registry in lib/resorts.js, with the default
+ * resort and per-resort overrides from lib/settings.js
+ * 
+ * Requires a dashboard session (lib/session.js). action=refresh needs an
+ * admin session, or the CACHE_AUTH_TOKEN bearer token for scheduled refreshes
+ * (Authorization: Bearer <token> only, never in the URL).
+ * 
+ * Usage: GET /api/cached-data?resort=hafjell&range=12h|48h|7d|season
+ *        GET /api/cached-data?action=history&resort=hafjell&range=7d (history only)
+ *        GET /api/cached-data?action=source&source=fnugg&resort=hafjell
+ *            (stored data of one source without fetching, after a live update)
  */
 
-const HAFJELL_RESORT_ID = 12;
-
-// In-memory temperature history (persists during function warm state)
-// Note: This resets when function goes cold (~15 min idle)
-let temperatureHistory = [];
-const MAX_HISTORY_POINTS = 144; // 12 hours at 5-min intervals
-
-function addToHistory(homeyTemp, topTemp, bottomTemp) {
-  const entry = {
-    ts: new Date().toISOString(),
-    h: homeyTemp ? parseFloat(homeyTemp) : null,
-    t: topTemp ? parseFloat(topTemp) : null,
-    b: bottomTemp ? parseFloat(bottomTemp) : null
-  };
-  
-  temperatureHistory.push(entry);
-  
-  // Keep only last 144 points (12 hours)
-  if (temperatureHistory.length > MAX_HISTORY_POINTS) {
-    temperatureHistory.shift();
-  }
-  
-  console.log(`📊 History: ${temperatureHistory.length} points`);
-  return temperatureHistory;
-}
-
-// ========== FNUGG API ==========
-
-async function getFnuggData() {
-  console.log('📡 Fetching from Fnugg API...');
-  
-  try {
-    const url = 'https://api.fnugg.no/search?size=150';
-    
-    const response = await fetch(url, {
-      headers: { 
-        'User-Agent': 'WKWeatherDashboard/1.0',
-        'Accept': 'application/json'
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    const hits = data.hits?.hits || [];
-    const total = data.hits?.total || 0;
-    
-    console.log(`✅ Received ${hits.length} resorts out of ${total} total`);
-    
-    const hafjellHit = hits.find(hit => {
-      const id = hit._source?.id;
-      const name = hit._source?.name || '';
-      return id === HAFJELL_RESORT_ID || 
-             id === '12' || 
-             name.toLowerCase().includes('hafjell');
-    });
-    
-    if (!hafjellHit) {
-      throw new Error('Hafjell not found in API results');
-    }
-    
-    const resort = hafjellHit._source;
-    console.log(`✅ Found Hafjell: ${resort.name} (ID: ${resort.id})`);
-    
-    // Extract complete snow data
-    const topSnow = resort.conditions?.combined?.top?.snow || {};
-    const bottomSnow = resort.conditions?.combined?.bottom?.snow || {};
-    
-    return {
-      top: {
-        temperature: resort.conditions?.combined?.top?.temperature?.value?.toString() || '--',
-        condition: resort.conditions?.combined?.top?.condition_description || 'Loading...',
-        wind: resort.conditions?.combined?.top?.wind?.mps?.toString() || '0.0',
-        snow: {
-          depth_terrain: topSnow.depth_terrain?.toString() || '0',
-          depth_slope: topSnow.depth_slope?.toString() || '0',
-          today: topSnow.today?.toString() || '0',
-          week: topSnow.week?.toString() || '0',
-          season: topSnow.season?.toString() || '0'
-        }
-      },
-      bottom: {
-        temperature: resort.conditions?.combined?.bottom?.temperature?.value?.toString() || '--',
-        condition: resort.conditions?.combined?.bottom?.condition_description || 'Loading...',
-        wind: resort.conditions?.combined?.bottom?.wind?.mps?.toString() || '0.0',
-        snow: {
-          depth_terrain: bottomSnow.depth_terrain?.toString() || '0',
-          depth_slope: bottomSnow.depth_slope?.toString() || '0',
-          today: bottomSnow.today?.toString() || '0',
-          week: bottomSnow.week?.toString() || '0',
-          season: bottomSnow.season?.toString() || '0'
-        }
-      },
-      lifts: parseLiftStatus(resort.lifts),
-      timestamp: new Date().toISOString()
-    };
-    
-  } catch (err) {
-    console.error(`❌ Fnugg error:`, err.message);
-    throw err;
-  }
-}
-
-function parseLiftStatus(liftsData) {
-  const lifts = {};
-  const mappings = {
-    'backyardheisen': ['Backyardheisen', 'N. Backyardheisen'],
-    'hafjell360': ['Hafjell 360', 'O. Hafjell 360'],
-    'gondolen': ['Gondolen', 'L. Gondolen'],
-    'vidsynexpressen': ['Vidsynexpressen', 'H. Vidsynexpressen'],
-    'hafjellheis1': ['Hafjellheis 1', 'C. Hafjellheis 1'],
-    'hafjellheis2': ['Hafjellheis 2', 'E. Hafjellheis 2'],
-    'kjusheisen': ['Kjusheisen', 'D. Kjusheisen']
-  };
-  
-  if (!liftsData?.list) return lifts;
-  
-  liftsData.list.forEach(lift => {
-    const status = lift.status === '1' || lift.status === 1 ? 'open' : 'closed';
-    for (const [id, names] of Object.entries(mappings)) {
-      if (names.some(n => lift.name.includes(n.replace(/^[A-Z]\. /, '')))) {
-        lifts[id] = status;
-        break;
-      }
-    }
-  });
-  
-  return lifts;
-}
-
-// ========== YR.NO ==========
-
-async function getYrForecast() {
-  console.log('📡 Fetching YR.no for Mosetertoppen Skistadion (813m)...');
-  
-  // Mosetertoppen Skistadion coordinates - 813m elevation
-  // This is the cross-country ski stadium, NOT the gondola top station
-  const response = await fetch(
-    'https://api.met.no/weatherapi/locationforecast/2.0/compact?lat=61.2430&lon=10.4900',
-    { headers: { 'User-Agent': 'WKWeatherDashboard/1.0 (wk@example.com)' } }
-  );
-  
-  if (!response.ok) throw new Error(`YR.no: ${response.status}`);
-  
-  const data = await response.json();
-  return {
-    timeseries: data.properties.timeseries.slice(0, 48),
-    timestamp: new Date().toISOString()
-  };
-}
-
-// ========== HOMEY ==========
-
-async function getHomeyData() {
-  console.log('📡 Fetching Homey...');
-  
-  try {
-    const homeyUrl = process.env.HOMEY_API_URL || 'https://wksnowdashboard.wvsailing.co.uk/api/homey.js';
-    const response = await fetch(homeyUrl);
-    
-    if (!response.ok) {
-      console.log('⚠️ Homey unavailable');
-      return { temperature: null, humidity: null };
-    }
-    
-    const data = await response.json();
-    return {
-      temperature: data.temperature?.toString() || null,
-      humidity: data.humidity?.toString() || null,
-      timestamp: new Date().toISOString()
-    };
-  } catch (err) {
-    console.log('⚠️ Homey error:', err.message);
-    return { temperature: null, humidity: null };
-  }
-}
-
-// ========== FETCH ALL ==========
-
-async function fetchAllData() {
-  console.log('🔄 Fetching all data sources...');
-  
-  const [fnugg, yr, homey] = await Promise.all([
-    getFnuggData(),
-    getYrForecast(),
-    getHomeyData()
-  ]);
-  
-  return {
-    hafjell: fnugg,
-    yr: yr,
-    homey: homey,
-    lastUpdate: new Date().toISOString(),
-    tempHistory: addToHistory(
-      homey.temperature,
-      fnugg.top.temperature,
-      fnugg.bottom.temperature
-    )
-  };
-}
+import { getTemperatureHistory, HISTORY_RANGES, DEFAULT_RANGE } from '../lib/temperature-history.js';
+import { getResort, listResorts } from '../lib/resorts.js';
+import { fetchAllData, getSourceData, LIVE_SOURCES } from '../lib/data-sources.js';
+import { getSettings, publicSettings } from '../lib/settings.js';
+import { requireSession, requireAdmin, hasBearerToken } from '../lib/session.js';
 
 // ========== HANDLER ==========
 
@@ -222,27 +52,79 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { action, token } = req.query;
+    const { action, range = DEFAULT_RANGE } = req.query;
+    
+    // Scheduled refreshes authenticate with CACHE_AUTH_TOKEN instead of a session
+    const serviceRefresh = action === 'refresh' && hasBearerToken(req, process.env.CACHE_AUTH_TOKEN);
     
-    // Check auth for manual refresh
-    if (action === 'refresh') {
-      const authHeader = req.headers.authorization;
-      const expectedToken = process.env.CACHE_AUTH_TOKEN;
-      const providedToken = authHeader?.replace('Bearer ', '') || token;
+    if (!serviceRefresh) {
+      const session = action === 'refresh'
+        ? await requireAdmin(req, res)
+        : await requireSession(req, res);
+      if (!session) return;
       
-      if (expectedToken && providedToken !== expectedToken) {
-        return res.status(401).json({ error: 'Invalid token' });
+      if (action === 'refresh') {
+        console.log(`🔄 Manual refresh by ${session.username}`);
+      }
+    }
+    
+    const settings = await getSettings();
+    const resort = req.query.resort || settings.defaultResort;
+    const resortConfig = getResort(resort, settings.resorts);
+    if (!resortConfig) {
+      return res.status(400).json({
+        error: 'Unknown resort',
+        message: `resort must be one of: ${listResorts().map(r => r.slug).join(', ')}`
+      });
+    }
+    
+    if (!HISTORY_RANGES[range]) {
+      return res.status(400).json({
+        error: 'Invalid range',
+        message: `range must be one of: ${Object.keys(HISTORY_RANGES).join(', ')}`
+      });
+    }
+    
+    if (action === 'history') {
+      return res.status(200).json({
+        success: true,
+        resort,
+        range,
+        tempHistory: await getTemperatureHistory(resort, range),
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (action === 'source') {
+      const { source } = req.query;
+      if (!LIVE_SOURCES.includes(source)) {
+        return res.status(400).json({
+          error: 'Invalid source',
+          message: `source must be one of: ${LIVE_SOURCES.join(', ')}`
+        });
       }
+      
+      const stored = await getSourceData(resortConfig, source);
+      return res.status(200).json({
+        success: true,
+        resort,
+        source,
+        data: stored?.data ?? null,
+        fetchedAt: stored?.fetchedAt ?? null,
+        timestamp: new Date().toISOString()
+      });
     }
     
     console.log('✅ Fetching fresh data...');
-    const data = await fetchAllData();
+    const data = await fetchAllData(resortConfig, settings);
+    data.tempHistory = await getTemperatureHistory(resort, range);
+    data.historyRange = range;
+    data.settings = publicSettings(settings);
     
     return res.status(200).json({
       success: true,
       data,
-      cached: false,
-      note: 'Redis disabled - fetching fresh data'
+      cached: false
     });
     
   } catch (error) {
@@ -4,9 +4,20 @@
  * This function proxies requests to the Met.no Weather API with proper User-Agent header
  * Solves iOS Safari compatibility issues where custom User-Agent headers cannot be set
  * 
- * Usage: GET /api/forecast?lat=XX.XXXX&lon=XX.XXXX
+ * Usage: GET /api/forecast?lat=XX.XXXX&lon=XX.XXXX[&altitude=1000]
+ *        GET /api/forecast (forecast point of the default resort in lib/settings.js)
+ *        GET /api/forecast?station=top|stadium|bottom (a station of the default resort)
+ *
+ * Responses are cached per point by lib/met-no.js.
  */
 
+import { requireSession } from '../lib/session.js';
+import { getSettings } from '../lib/settings.js';
+import { getResort } from '../lib/resorts.js';
+import { getLocationForecast, MetNoError } from '../lib/met-no.js';
+
+const STATIONS = ['top', 'stadium', 'bottom'];
+
 export default async function handler(req, res) {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Credentials', true);
@@ -28,8 +39,28 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Get coordinates from query parameters
-    const { lat, lon } = req.query;
+    if (!(await requireSession(req, res))) return;
+
+    const settings = await getSettings();
+    
+    // Get coordinates from query parameters, defaulting to the configured resort
+    let { lat, lon, altitude, station } = req.query;
+    if (station && !STATIONS.includes(station)) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: `station must be one of: ${STATIONS.join(', ')}`
+      });
+    }
+    if (!lat && !lon) {
+      const { forecast, elevations } = getResort(settings.defaultResort, settings.resorts);
+      lat = forecast.lat;
+      lon = forecast.lon;
+      if (station === 'top' || station === 'bottom') {
+        altitude = elevations[station];
+      } else if (station === 'stadium') {
+        altitude = forecast.altitude;
+      }
+    }
     
     // Validate parameters
     if (!lat || !lon) {
@@ -58,78 +89,67 @@ export default async function handler(req, res) {
       });
     }
 
-    // Round to 4 decimals as per Met.no best practices
-    const roundedLat = Math.round(latitude * 10000) / 10000;
-    const roundedLon = Math.round(longitude * 10000) / 10000;
+    // Optional altitude in metres; Met.no uses its terrain height without it
+    const elevation = altitude === undefined || altitude === '' ? null : parseFloat(altitude);
+    if (elevation !== null && (isNaN(elevation) || elevation < -500 || elevation > 9000)) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'altitude must be a number of metres between -500 and 9000'
+      });
+    }
 
-    console.log(`Fetching forecast for coordinates: ${roundedLat}, ${roundedLon}`);
+    console.log(`Fetching forecast for coordinates: ${latitude}, ${longitude}${elevation !== null ? ` at ${elevation}m` : ''}`);
 
-    // Build Met.no API URL
-    const metnoUrl = `https://api.met.no/weatherapi/locationforecast/2.0/compact?lat=${roundedLat}&lon=${roundedLon}`;
-    
-    // Make request to Met.no with proper User-Agent header
-    const response = await fetch(metnoUrl, {
-      method: 'GET',
-      headers: {
-        // Met.no requires proper User-Agent identification
-        'User-Agent': 'WKWeatherDashboard/1.0 (wksnowdashboard.wvsailing.co.uk)',
-        'Accept': 'application/json'
-      }
-    });
-
-    // Check if request was successful
-    if (!response.ok) {
-      console.error(`Met.no API error: ${response.status} ${response.statusText}`);
+    let forecast;
+    try {
+      forecast = await getLocationForecast({ lat: latitude, lon: longitude, altitude: elevation });
+    } catch (error) {
+      if (!(error instanceof MetNoError)) throw error;
+      console.error(`Met.no API error: ${error.message}`);
       
       // Handle specific error codes
-      if (response.status === 403) {
+      if (error.status === 403) {
         return res.status(500).json({
           error: 'Met.no API access denied',
           message: 'The weather service rejected our request. Please try again later.',
-          statusCode: response.status
+          statusCode: error.status
         });
       }
       
-      if (response.status === 429) {
+      if (error.status === 429) {
         return res.status(429).json({
           error: 'Rate limit exceeded',
           message: 'Too many requests to weather service. Please wait a moment.',
-          statusCode: response.status
+          statusCode: error.status
         });
       }
       
-      throw new Error(`Met.no API returned ${response.status}: ${response.statusText}`);
+      throw error;
     }
 
-    // Get response data
-    const forecastData = await response.json();
-    
-    // Get caching headers from Met.no response
-    const expires = response.headers.get('Expires');
-    const lastModified = response.headers.get('Last-Modified');
+    const { data: forecastData, expires, lastModified, coordinates } = forecast;
     
     console.log(`Successfully fetched forecast data. Expires: ${expires}`);
 
     // Set appropriate caching headers for client
     if (expires) {
-      res.setHeader('Expires', expires);
+      res.setHeader('Expires', new Date(expires).toUTCString());
     }
     if (lastModified) {
       res.setHeader('Last-Modified', lastModified);
     }
     
-    // Cache for 5 minutes (Met.no updates hourly, but we refresh more frequently)
-    res.setHeader('Cache-Control', 'public, max-age=300');
+    // Cache for settings.cache.forecastMaxAgeMinutes (Met.no updates hourly).
+    // Private: the response is only served to logged-in sessions
+    res.setHeader('Cache-Control', `private, max-age=${settings.cache.forecastMaxAgeMinutes * 60}`);
 
     // Return the forecast data
     return res.status(200).json({
       success: true,
       data: forecastData,
       source: 'yr.no',
-      coordinates: {
-        lat: roundedLat,
-        lon: roundedLon
-      },
+      coordinates,
+      station: station || null,
       timestamp: new Date().toISOString()
     });
 
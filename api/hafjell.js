@@ -3,13 +3,19 @@
  * 
  * Compatible with your existing Redis Cloud database
  * Uses REDIS_URL environment variable (already configured)
+ * 
+ * The snow report is parsed by lib/hafjell-parser.js. Fields it cannot
+ * find are returned as null and listed in current.missingFields.
+ * The cache duration is settings.cache.hafjellMinutes (lib/settings.js).
  */
 
-const { createClient } = require('redis');
+import { createClient } from 'redis';
+import { parseSnowReport } from '../lib/hafjell-parser.js';
+import { requireSession } from '../lib/session.js';
+import { getSettings } from '../lib/settings.js';
 
 const CACHE_KEY = 'hafjell_weather';
 const HISTORY_KEY = 'hafjell_history';
-const CACHE_DURATION = 15 * 60; // 15 minutes
 const MAX_HISTORY_POINTS = 12;
 
 let redisClient = null;
@@ -48,6 +54,8 @@ export default async function handler(req, res) {
   }
 
   try {
+    if (!(await requireSession(req, res))) return;
+
     const hasRedis = process.env.REDIS_URL;
 
     if (!hasRedis) {
@@ -59,7 +67,8 @@ export default async function handler(req, res) {
       });
     }
 
-    const cachedData = await getCachedData();
+    const cacheDuration = (await getSettings()).cache.hafjellMinutes * 60;
+    const cachedData = await getCachedData(cacheDuration);
     
     if (cachedData) {
       console.log('Returning cached Hafjell data');
@@ -82,14 +91,14 @@ export default async function handler(req, res) {
       timestamp: new Date().toISOString()
     };
     
-    await setCachedData(responseData);
+    await setCachedData(responseData, cacheDuration);
     
     return res.status(200).json(responseData);
 
   } catch (error) {
     console.error('Hafjell API Error:', error);
     
-    const staleData = await getCachedData(true);
+    const staleData = await getCachedData(null);
     if (staleData) {
       console.log('Returning stale cache due to error');
       return res.status(200).json({
@@ -106,7 +115,8 @@ export default async function handler(req, res) {
   }
 }
 
-async function getCachedData(ignoreExpiry = false) {
+// cacheDuration in seconds; null returns the cached data however old it is
+async function getCachedData(cacheDuration) {
   try {
     const redis = await getRedisClient();
     const cached = await redis.get(CACHE_KEY);
@@ -117,9 +127,9 @@ async function getCachedData(ignoreExpiry = false) {
 
     const cachedData = JSON.parse(cached);
     
-    if (!ignoreExpiry) {
+    if (cacheDuration !== null) {
       const cacheAge = (Date.now() - new Date(cachedData.timestamp).getTime()) / 1000;
-      if (cacheAge > CACHE_DURATION) {
+      if (cacheAge > cacheDuration) {
         console.log(`Cache expired (${Math.round(cacheAge)}s old)`);
         return null;
       }
@@ -132,10 +142,10 @@ async function getCachedData(ignoreExpiry = false) {
   }
 }
 
-async function setCachedData(data) {
+async function setCachedData(data, cacheDuration) {
   try {
     const redis = await getRedisClient();
-    await redis.setEx(CACHE_KEY, CACHE_DURATION * 2, JSON.stringify(data));
+    await redis.setEx(CACHE_KEY, cacheDuration * 2, JSON.stringify(data));
     console.log('Hafjell data cached successfully');
   } catch (error) {
     console.error('Error caching data:', error);
@@ -221,99 +231,17 @@ async function fetchHafjellData() {
   const data = await response.json();
   const htmlContent = data.contents;
   
-  const weatherData = parseWeatherDataFromHTML(htmlContent);
+  const weatherData = parseSnowReport(htmlContent);
+  
+  if (weatherData.missingFields.length > 0) {
+    console.warn(`⚠️ Snow report fields not found: ${weatherData.missingFields.join(', ')}`);
+  }
   
   return {
-    top: {
-      temperature: weatherData.top.temperature,
-      condition: weatherData.top.condition,
-      wind: weatherData.top.wind,
-      snow: weatherData.top.snow,
-      snowLastDay: weatherData.top.snowLastDay
-    },
-    bottom: {
-      temperature: weatherData.bottom.temperature,
-      condition: weatherData.bottom.condition,
-      wind: weatherData.bottom.wind,
-      snow: weatherData.bottom.snow,
-      snowLastDay: weatherData.bottom.snowLastDay
-    },
+    top: weatherData.top,
+    bottom: weatherData.bottom,
+    parsedFields: weatherData.parsedFields,
+    missingFields: weatherData.missingFields,
     source: 'hafjell.no'
   };
 }
-
-function parseWeatherDataFromHTML(htmlContent) {
-  try {
-    const weatherData = {
-      top: {
-        temperature: '11',
-        condition: 'Mostly sunny',
-        wind: '5.6',
-        snow: '65',
-        snowLastDay: '0'
-      },
-      bottom: {
-        temperature: '20',
-        condition: 'Mostly sunny',
-        wind: '2.0',
-        snow: '65',
-        snowLastDay: '0'
-      }
-    };
-
-    const allText = htmlContent.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
-    
-    const tempWindPattern = /(\d{1,2})\s+(\d{1,2})\s+(\d+\.?\d*)m\/s\s+(\d+\.?\d*)m\/s/;
-    const tempWindMatch = allText.match(tempWindPattern);
-    
-    if (tempWindMatch) {
-      weatherData.top.temperature = tempWindMatch[1];
-      weatherData.bottom.temperature = tempWindMatch[2];
-      weatherData.top.wind = tempWindMatch[3];
-      weatherData.bottom.wind = tempWindMatch[4];
-    }
-    
-    if (allText.includes('Mostly sunny')) {
-      weatherData.top.condition = 'Mostly sunny';
-      weatherData.bottom.condition = 'Mostly sunny';
-    } else if (allText.includes('Partly cloudy')) {
-      weatherData.top.condition = 'Partly cloudy';
-      weatherData.bottom.condition = 'Partly cloudy';
-    } else if (allText.includes('Cloudy')) {
-      weatherData.top.condition = 'Cloudy';
-      weatherData.bottom.condition = 'Cloudy';
-    }
-    
-    const snowMatches = allText.match(/(\d+)cm/g);
-    if (snowMatches) {
-      const snowDepths = snowMatches.map(s => s.replace('cm', ''));
-      const reasonableSnow = snowDepths.find(s => parseInt(s) >= 50 && parseInt(s) <= 150);
-      if (reasonableSnow) {
-        weatherData.top.snow = reasonableSnow;
-        weatherData.bottom.snow = reasonableSnow;
-      }
-    }
-    
-    return weatherData;
-    
-  } catch (error) {
-    console.error('Error parsing HTML:', error);
-    
-    return {
-      top: {
-        temperature: '11',
-        condition: 'Mostly sunny',
-        wind: '5.6',
-        snow: '65',
-        snowLastDay: '0'
-      },
-      bottom: {
-        temperature: '20',
-        condition: 'Mostly sunny',
-        wind: '2.0',
-        snow: '65',
-        snowLastDay: '0'
-      }
-    };
-  }
-}
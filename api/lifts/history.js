@@ -0,0 +1,69 @@
+/**
+ * Vercel Serverless Function: Lift Status History
+ * 
+ * Returns the lift state transitions recorded by /api/cached-data on each
+ * refresh, with per-lift daily uptime and today's open/closed timeline
+ * 
+ * Usage: GET /api/lifts/history?resort=hafjell&days=7
+ */
+
+import { getLiftHistory } from '../../lib/lift-history.js';
+import { getResort, listResorts } from '../../lib/resorts.js';
+import { getSettings } from '../../lib/settings.js';
+import { requireSession } from '../../lib/session.js';
+
+const MAX_DAYS = 30;
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With, Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).json({ message: 'OK' });
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    if (!(await requireSession(req, res))) return;
+
+    const resort = req.query.resort || (await getSettings()).defaultResort;
+    const days = parseInt(req.query.days || '7', 10);
+
+    if (!getResort(resort)) {
+      return res.status(400).json({
+        error: 'Unknown resort',
+        message: `resort must be one of: ${listResorts().map(r => r.slug).join(', ')}`
+      });
+    }
+
+    if (isNaN(days) || days < 1 || days > MAX_DAYS) {
+      return res.status(400).json({
+        error: 'Invalid days',
+        message: `days must be between 1 and ${MAX_DAYS}`
+      });
+    }
+
+    const history = await getLiftHistory(resort, { days });
+
+    return res.status(200).json({
+      success: true,
+      resort,
+      days,
+      ...history,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Lift history error:', error);
+    return res.status(500).json({
+      error: 'Failed to load lift history',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * Vercel Serverless Function: Dashboard Logout
+ * 
+ * Revokes the current session (lib/session.js) and clears its cookie,
+ * so the cookie is rejected even if it was copied before logging out
+ * 
+ * Usage: POST /api/logout
+ */
+
+import { revokeSession } from '../lib/session.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With, Content-Type, Accept');
+
+  // Handle preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).json({ message: 'OK' });
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  try {
+    const session = await revokeSession(req, res);
+
+    return res.status(200).json({
+      success: true,
+      message: session ? 'Logged out' : 'No active session',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Logout failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
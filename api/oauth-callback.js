@@ -1,91 +1,89 @@
 /**
- * Vercel Serverless Function: OAuth Callback Handler
- * 
- * This function exchanges the authorization code for tokens
- * Called by the oauth-setup.html page after user authorizes
+ * Vercel Serverless Function: Homey OAuth (server-side)
+ *
+ * Runs the Athom OAuth2 authorization code flow without the client secret
+ * or tokens ever reaching the browser:
+ *
+ * 1. GET /api/oauth-callback?action=start (admin session)
+ *    redirects to the Athom authorization page
+ * 2. Athom redirects back to GET /api/oauth-callback?code=…&state=…
+ *    the code is exchanged with HOMEY_CLIENT_SECRET and the refresh token is
+ *    stored encrypted in the Homey client store (lib/homey-client.js)
+ * 3. The admin is redirected to oauth-setup.html with only success or failure
+ *
+ * Environment variables:
+ * - HOMEY_CLIENT_ID / HOMEY_CLIENT_SECRET
+ * - HOMEY_OAUTH_REDIRECT_URI (optional, default https://<host>/api/oauth-callback;
+ *   must match the redirect URL registered for the Homey API client)
  */
 
-export default async function handler(req, res) {
-  // Enable CORS
-  res.setHeader('Access-Control-Allow-Credentials', true);
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+import crypto from 'crypto';
+import { getSession } from '../lib/session.js';
+import { getJSON, setJSON, deleteKey } from '../lib/redis.js';
+import { getAuthorizationUrl, completeAuthorization } from '../lib/homey-client.js';
 
-  // Handle preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).json({ message: 'OK' });
-  }
+const STATE_TTL = 10 * 60; // seconds to complete the authorization
+const RESULT_PAGE = '/oauth-setup.html';
+
+function redirectUri(req) {
+  return process.env.HOMEY_OAUTH_REDIRECT_URI || `https://${req.headers.host}/api/oauth-callback`;
+}
+
+function showResult(res, result, message = '') {
+  const params = new URLSearchParams({ result });
+  if (message) params.set('message', message);
+  return res.redirect(302, `${RESULT_PAGE}?${params.toString()}`);
+}
 
-  // Only allow POST
-  if (req.method !== 'POST') {
+export default async function handler(req, res) {
+  // Only allow GET (browser redirects)
+  if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  const { action, code, state, error } = req.query;
+
   try {
-    const { code, clientId, clientSecret, redirectUri } = req.body;
+    if (action === 'start') {
+      // A browser navigation, so answer with the result page rather than JSON
+      const session = await getSession(req);
+      if (session?.role !== 'admin') {
+        return showResult(res, 'error', 'Log in to the dashboard as an admin first');
+      }
 
-    // Validate input
-    if (!code || !clientId || !clientSecret) {
-      return res.status(400).json({
-        error: 'Missing required parameters',
-        message: 'code, clientId, and clientSecret are required'
-      });
-    }
+      if (!process.env.HOMEY_CLIENT_ID || !process.env.HOMEY_CLIENT_SECRET) {
+        return showResult(res, 'error', 'HOMEY_CLIENT_ID and HOMEY_CLIENT_SECRET are not configured');
+      }
 
-    console.log('Exchanging authorization code for tokens...');
-    console.log('Request details:', {
-      codeLength: code.length,
-      clientIdLength: clientId.length,
-      redirectUri: redirectUri
-    });
+      const oauthState = crypto.randomBytes(24).toString('base64url');
+      await setJSON(`homey:oauth_state:${oauthState}`, {
+        username: session.username,
+        createdAt: new Date().toISOString()
+      }, STATE_TTL);
 
-    // Exchange authorization code for tokens
-    // Must include redirect_uri that matches the authorization request
-    const tokenResponse = await fetch('https://api.athom.com/oauth2/token', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Authorization': 'Basic ' + Buffer.from(`${clientId}:${clientSecret}`).toString('base64')
-      },
-      body: `grant_type=authorization_code&code=${encodeURIComponent(code)}&redirect_uri=${encodeURIComponent(redirectUri)}`
-    });
+      console.log(`🔑 ${session.username} started Homey authorization`);
+      return res.redirect(302, getAuthorizationUrl(oauthState, redirectUri(req)));
+    }
 
-    if (!tokenResponse.ok) {
-      const errorText = await tokenResponse.text();
-      console.error('Token exchange failed:', {
-        status: tokenResponse.status,
-        statusText: tokenResponse.statusText,
-        body: errorText
-      });
-      
-      return res.status(tokenResponse.status).json({
-        error: 'Token exchange failed',
-        message: errorText,
-        status: tokenResponse.status,
-        details: 'Check that your Client ID and Client Secret are correct'
-      });
+    // The session cookie is SameSite=Strict, so it is not sent on the
+    // redirect back from Athom; the one-time state ties this to the admin
+    const pending = state ? await getJSON(`homey:oauth_state:${state}`) : null;
+    if (!pending) {
+      return showResult(res, 'error', 'Authorization expired or was not started from the dashboard');
     }
+    await deleteKey(`homey:oauth_state:${state}`);
 
-    const tokens = await tokenResponse.json();
-    
-    console.log('Tokens received successfully');
+    if (error || !code) {
+      console.error('Homey authorization declined:', error);
+      return showResult(res, 'error', 'Authorization was declined');
+    }
 
-    // Return tokens to client
-    return res.status(200).json({
-      access_token: tokens.access_token,
-      refresh_token: tokens.refresh_token,
-      expires_in: tokens.expires_in,
-      message: 'Tokens obtained successfully'
-    });
+    await completeAuthorization(code, redirectUri(req));
+    console.log(`✅ Homey re-authorized by ${pending.username}`);
+    return showResult(res, 'success');
 
-  } catch (error) {
-    console.error('OAuth callback error:', error);
-    
-    return res.status(500).json({
-      error: 'Internal server error',
-      message: error.message
-    });
+  } catch (err) {
+    console.error('OAuth callback error:', err);
+    return showResult(res, 'error', 'Could not complete the Homey authorization');
   }
 }
-
@@ -1,164 +1,58 @@
 /**
- * Background Data Refresh with Redis - CommonJS Version
- * Access via: /api/refresh-data.js?manual=true
- * 
- * Simply calls working endpoints and caches the results
+ * Background Data Refresh
+ * Access via: /api/refresh-data (Vercel cron with CRON_SECRET, or an admin session)
+ *
+ * Fetches every source for the default resort (or ?resort=) through the
+ * same pipeline as /api/cached-data, so last good values and history stay
+ * current even when nobody has the dashboard open. Coordinates, resort and
+ * cache settings come from lib/settings.js.
  */
 
-const Redis = require('ioredis');
-const fetch = require('node-fetch');
+import { getSettings } from '../lib/settings.js';
+import { getResort, listResorts } from '../lib/resorts.js';
+import { fetchAllData } from '../lib/data-sources.js';
+import { requireAdmin, hasBearerToken } from '../lib/session.js';
 
-const CACHE_TTL = 300;
-// Mosetertoppen Skistadion location coordinates (813m elevation)
-// This is the cross-country ski stadium, NOT the gondola top station
-const HAFJELL_COORDS = { lat: 61.2430, lon: 10.4900 };
-
-function createRedisClient() {
-  return new Redis(process.env.REDIS_URL, {
-    maxRetriesPerRequest: 3,
-    enableReadyCheck: false,
-    lazyConnect: true,
-    connectTimeout: 10000
-  });
-}
-
-async function fetchForecastData(redis) {
-  console.log('📊 Fetching forecast...');
-  try {
-    const url = `https://api.met.no/weatherapi/locationforecast/2.0/compact?lat=${HAFJELL_COORDS.lat}&lon=${HAFJELL_COORDS.lon}`;
-    const response = await fetch(url, {
-      headers: { 'User-Agent': 'WKWeatherDashboard/1.0 (wksnowdashboard.wvsailing.co.uk)' }
-    });
-    if (!response.ok) throw new Error(`Met.no: ${response.status}`);
-    const data = await response.json();
-    await redis.setex('forecast_data', CACHE_TTL, JSON.stringify({
-      data, timestamp: new Date().toISOString(), source: 'yr.no'
-    }));
-    console.log('✅ Forecast cached');
-    return { success: true, service: 'forecast' };
-  } catch (error) {
-    console.error('❌ Forecast:', error.message);
-    return { success: false, service: 'forecast', error: error.message };
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
   }
-}
 
-async function fetchHomeyData(redis) {
-  console.log('🏠 Fetching Homey...');
-  
-  try {
-    // Simply call the working homey.js endpoint!
-    const homeyEndpoint = 'https://wksnowdashboard.wvsailing.co.uk/api/homey.js';
-    
-    console.log('Calling working Homey endpoint...');
-    const response = await fetch(homeyEndpoint);
-    
-    if (!response.ok) {
-      throw new Error(`Homey endpoint returned ${response.status}`);
-    }
-    
-    const sensorData = await response.json();
-    console.log('Homey data received:', sensorData);
-    
-    if (sensorData.error) {
-      throw new Error(sensorData.message || sensorData.error);
-    }
-    
-    // Verify we have data
-    if (sensorData.temperature === undefined && sensorData.temperature !== 0) {
-      throw new Error('No temperature data in response');
-    }
-    
-    // Cache the data
-    await redis.setex('homey_data', CACHE_TTL, JSON.stringify(sensorData));
-    console.log('✅ Homey cached');
-    return { success: true, service: 'homey' };
-    
-  } catch (error) {
-    console.error('❌ Homey error:', error.message);
-    return { success: false, service: 'homey', error: error.message };
-  }
-}
+  const startTime = Date.now();
 
-async function fetchHafjellData(redis) {
-  console.log('🏔️ Fetching Hafjell...');
   try {
-    const proxyUrl = 'https://api.allorigins.win/get?url=';
-    const targetUrl = encodeURIComponent('https://www.hafjell.no/en/snorapport-hafjell');
-    
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 30000);
-    
-    const response = await fetch(proxyUrl + targetUrl, { signal: controller.signal });
-    clearTimeout(timeoutId);
-    
-    if (!response.ok) throw new Error(`Hafjell proxy: ${response.status}`);
-    
-    const data = await response.json();
-    if (!data.contents) throw new Error('No HTML content in response');
-    
-    await redis.setex('hafjell_html', CACHE_TTL, JSON.stringify({
-      html: data.contents, 
-      timestamp: new Date().toISOString()
-    }));
-    
-    console.log('✅ Hafjell cached');
-    return { success: true, service: 'hafjell' };
-    
-  } catch (error) {
-    console.error('❌ Hafjell:', error.message);
-    return { success: false, service: 'hafjell', error: error.message };
-  }
-}
-
-module.exports = async function handler(req, res) {
-  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
-    if (process.env.NODE_ENV === 'production' && !req.query.manual) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    const isCron = hasBearerToken(req, process.env.CRON_SECRET);
+    if (!isCron && !(await requireAdmin(req, res))) return;
+
+    const settings = await getSettings();
+    const resort = req.query.resort || settings.defaultResort;
+    const resortConfig = getResort(resort, settings.resorts);
+    if (!resortConfig) {
+      return res.status(400).json({
+        error: 'Unknown resort',
+        message: `resort must be one of: ${listResorts().map(r => r.slug).join(', ')}`
+      });
     }
-  }
 
-  console.log('🔄 Starting refresh...');
-  const startTime = Date.now();
-  let redis = null;
-  
-  try {
-    redis = createRedisClient();
-    await redis.connect();
-    console.log('✅ Redis connected');
-    
-    const results = await Promise.allSettled([
-      fetchForecastData(redis),
-      fetchHomeyData(redis),
-      fetchHafjellData(redis)
-    ]);
+    console.log(`🔄 Starting refresh for ${resortConfig.name}...`);
+    const data = await fetchAllData(resortConfig, settings);
 
     const duration = Date.now() - startTime;
-    const summary = {
-      timestamp: new Date().toISOString(),
-      duration: `${duration}ms`,
-      results: results.map((r, i) => 
-        r.status === 'fulfilled' ? r.value : {
-          success: false,
-          service: ['forecast', 'homey', 'hafjell'][i],
-          error: r.reason?.message
-        }
-      )
-    };
+    const okCount = Object.values(data.sources).filter(meta => meta.status === 'ok').length;
+    console.log(`✅ Complete: ${okCount}/${Object.keys(data.sources).length} in ${duration}ms`);
 
-    const successCount = summary.results.filter(r => r.success).length;
-    console.log(`✅ Complete: ${successCount}/3 in ${duration}ms`);
-    
     return res.status(200).json({
       success: true,
       message: 'Background refresh completed',
-      summary
+      summary: {
+        resort,
+        timestamp: new Date().toISOString(),
+        duration: `${duration}ms`,
+        sources: data.sources
+      }
     });
   } catch (error) {
     console.error('❌ Error:', error);
     return res.status(500).json({ error: 'Refresh failed', message: error.message });
-  } finally {
-    if (redis) {
-      try { await redis.quit(); } catch (e) {}
-    }
   }
-};
+}
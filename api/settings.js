@@ -0,0 +1,66 @@
+/**
+ * Vercel Serverless Function: Dashboard Settings (admin)
+ *
+ * Reads and changes the runtime settings in lib/settings.js. Changes take
+ * effect on the next request to each endpoint - no redeploy needed.
+ *
+ * Usage: GET /api/settings                  current settings, defaults, last change
+ *        PUT /api/settings { …changes }     partial update; each section is
+ *                                          merged field by field
+ */
+
+import { requireAdmin } from '../lib/session.js';
+import { getSettingsWithMeta, updateSettings, SettingsError } from '../lib/settings.js';
+import { listResorts } from '../lib/resorts.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,PUT,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With, Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).json({ message: 'OK' });
+  }
+
+  if (req.method !== 'GET' && req.method !== 'PUT') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await requireAdmin(req, res);
+    if (!session) return;
+
+    if (req.method === 'PUT') {
+      const result = await updateSettings(req.body || {}, session.username);
+      return res.status(200).json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      ...(await getSettingsWithMeta()),
+      resorts: listResorts(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof SettingsError) {
+      return res.status(400).json({
+        error: 'Invalid settings',
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    console.error('❌ Settings API Error:', error);
+    return res.status(500).json({
+      error: 'Failed to manage settings',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
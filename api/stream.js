@@ -0,0 +1,146 @@
+/**
+ * Vercel Serverless Function: Live Updates (Server-Sent Events)
+ *
+ * Pushes a `source` event whenever a source for the resort (or Homey) is
+ * fetched and stored - see lib/live-updates.js. Data older than the dashboard
+ * refresh interval is refreshed from here, so updates keep coming while a
+ * dashboard is open without any polling. The station metrics from
+ * lib/derived-metrics.js follow each refresh as the source `derived`.
+ *
+ * Events:
+ *   ready      { latestId }                           first connection, nothing to replay
+ *   source     { source, resort, meta, timestamp }    load the data from /api/cached-data?action=source
+ *   resync     { latestId }                           events were missed, reload /api/cached-data
+ *   heartbeat  { timestamp }                          every HEARTBEAT_MS
+ *
+ * Each connection ends after STREAM_DURATION_MS to stay within the function
+ * time limit (MAX_DURATION_MS, the maxDuration of the api build in
+ * vercel.json); EventSource reconnects by itself and sends Last-Event-ID, so
+ * nothing in between is lost. ?lastEventId= does the same for a new
+ * EventSource. Requires a dashboard session (lib/session.js).
+ *
+ * Usage: GET /api/stream?resort=hafjell
+ */
+
+import { getResort, listResorts } from '../lib/resorts.js';
+import { refreshIfDue } from '../lib/data-sources.js';
+import { getEventsSince } from '../lib/live-updates.js';
+import { getSettings } from '../lib/settings.js';
+import { requireSession } from '../lib/session.js';
+
+const MAX_DURATION_MS = 60 * 1000; // keep in sync with vercel.json
+// Leaves the rest of MAX_DURATION_MS for a refresh started at the very end
+const STREAM_DURATION_MS = MAX_DURATION_MS - 15 * 1000;
+const POLL_MS = 3 * 1000;
+const HEARTBEAT_MS = 15 * 1000;
+const REFRESH_CHECK_MS = 30 * 1000;
+const RETRY_MS = 2 * 1000; // reconnect delay for EventSource
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function parseEventId(value) {
+  const id = parseInt(value, 10);
+  return isNaN(id) || id < 0 ? null : id;
+}
+
+function sendEvent(res, event, data, id = null) {
+  if (id !== null) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With, Content-Type, Accept, Last-Event-ID');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).json({ message: 'OK' });
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let settings;
+  let resortConfig;
+
+  try {
+    if (!(await requireSession(req, res))) return;
+
+    settings = await getSettings();
+    const resort = req.query.resort || settings.defaultResort;
+    resortConfig = getResort(resort, settings.resorts);
+    if (!resortConfig) {
+      return res.status(400).json({
+        error: 'Unknown resort',
+        message: `resort must be one of: ${listResorts().map(r => r.slug).join(', ')}`
+      });
+    }
+  } catch (error) {
+    console.error('❌ Stream API Error:', error);
+    return res.status(500).json({
+      error: 'Failed to open stream',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  let closed = false;
+  req.on('close', () => { closed = true; });
+
+  // The header is set by EventSource on reconnect and wins over the query
+  let lastId = parseEventId(req.headers['last-event-id'] ?? req.query.lastEventId);
+  const startedAt = Date.now();
+  let lastHeartbeat = startedAt;
+  let lastRefreshCheck = 0;
+
+  try {
+    while (!closed && Date.now() - startedAt < STREAM_DURATION_MS) {
+      if (Date.now() - lastRefreshCheck >= REFRESH_CHECK_MS) {
+        lastRefreshCheck = Date.now();
+        if (await refreshIfDue(resortConfig, settings)) {
+          console.log(`🔄 Stream refreshed ${resortConfig.name}`);
+        }
+      }
+
+      const { events, latestId, missed } = await getEventsSince(lastId);
+
+      if (lastId === null) {
+        sendEvent(res, 'ready', { latestId }, latestId);
+        lastId = latestId;
+      } else if (missed) {
+        console.log(`⚠️ Stream client missed events after ${lastId}, asking for a resync`);
+        sendEvent(res, 'resync', { latestId }, latestId);
+        lastId = latestId;
+      } else {
+        for (const event of events) {
+          if (event.resort === null || event.resort === resortConfig.slug) {
+            const { id, ...update } = event;
+            sendEvent(res, 'source', update, id);
+          }
+          lastId = event.id;
+        }
+      }
+
+      if (Date.now() - lastHeartbeat >= HEARTBEAT_MS) {
+        sendEvent(res, 'heartbeat', { timestamp: new Date().toISOString() });
+        lastHeartbeat = Date.now();
+      }
+
+      await sleep(Math.max(0, Math.min(POLL_MS, startedAt + STREAM_DURATION_MS - Date.now())));
+    }
+  } catch (error) {
+    console.error('❌ Stream error:', error);
+  }
+
+  res.end();
+}
@@ -0,0 +1,62 @@
+/**
+ * Vercel Serverless Function: Wax Recommendations
+ *
+ * Kick and glide wax bands for the top and bottom stations from the last
+ * source data (refreshed first when it is older than the dashboard refresh
+ * interval), with a confidence level and the reasoning - see lib/wax.js
+ *
+ * Usage: GET /api/wax?resort=hafjell
+ */
+
+import { getResort, listResorts } from '../lib/resorts.js';
+import { getSettings } from '../lib/settings.js';
+import { requireSession } from '../lib/session.js';
+import { refreshIfDue, getLastGoodData } from '../lib/data-sources.js';
+import { getWaxRecommendations } from '../lib/wax.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With, Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).json({ message: 'OK' });
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    if (!(await requireSession(req, res))) return;
+
+    const settings = await getSettings();
+    const resort = req.query.resort || settings.defaultResort;
+    const resortConfig = getResort(resort, settings.resorts);
+    if (!resortConfig) {
+      return res.status(400).json({
+        error: 'Unknown resort',
+        message: `resort must be one of: ${listResorts().map(r => r.slug).join(', ')}`
+      });
+    }
+
+    await refreshIfDue(resortConfig, settings);
+    const stations = await getWaxRecommendations(resortConfig, await getLastGoodData(resortConfig));
+
+    return res.status(200).json({
+      success: true,
+      resort,
+      stations,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Wax API Error:', error);
+    return res.status(500).json({
+      error: 'Failed to get wax recommendations',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Vercel Serverless Function: Inversion and Freeze-Thaw Events
+ * 
+ * Returns the temperature inversions and freeze-thaw cycles recorded by
+ * lib/weather-events.js on each refresh, newest first, with the ones still
+ * active listed separately
+ * 
+ * Usage: GET /api/weather-events?resort=hafjell&days=7
+ *        GET /api/weather-events?resort=hafjell&type=inversion|freezeThaw
+ */
+
+import { getWeatherEvents, EVENT_TYPES } from '../lib/weather-events.js';
+import { getResort, listResorts } from '../lib/resorts.js';
+import { getSettings } from '../lib/settings.js';
+import { requireSession } from '../lib/session.js';
+
+const MAX_DAYS = 30;
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With, Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).json({ message: 'OK' });
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    if (!(await requireSession(req, res))) return;
+
+    const resort = req.query.resort || (await getSettings()).defaultResort;
+    const days = parseInt(req.query.days || '7', 10);
+    const { type } = req.query;
+
+    if (!getResort(resort)) {
+      return res.status(400).json({
+        error: 'Unknown resort',
+        message: `resort must be one of: ${listResorts().map(r => r.slug).join(', ')}`
+      });
+    }
+
+    if (isNaN(days) || days < 1 || days > MAX_DAYS) {
+      return res.status(400).json({
+        error: 'Invalid days',
+        message: `days must be between 1 and ${MAX_DAYS}`
+      });
+    }
+
+    if (type && !EVENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: 'Invalid type',
+        message: `type must be one of: ${EVENT_TYPES.join(', ')}`
+      });
+    }
+
+    const { events, active } = await getWeatherEvents(resort, { days });
+    const ofType = event => !type || event.type === type;
+
+    return res.status(200).json({
+      success: true,
+      resort,
+      days,
+      events: events.filter(ofType),
+      active: active.filter(ofType),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Weather Events API Error:', error);
+    return res.status(500).json({
+      error: 'Failed to get weather events',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
@@ -0,0 +1,422 @@
+/**
+ * Data sources for the dashboard
+ *
+ * Fetches Fnugg (resort conditions, lifts, slopes), yr.no (Met.no forecast)
+ * and Homey (cabin sensors). Each source succeeds or fails on its own and
+ * falls back to its last good value; per-source status/fetchedAt/ageSeconds/
+ * error is returned in `sources`. Fresh readings are recorded in the
+ * temperature and lift history.
+ *
+ * Every fetch is published to /api/stream (lib/live-updates.js).
+ *
+ * Used by /api/cached-data, /api/stream and the background refresh in
+ * /api/refresh-data.
+ */
+
+import { recordTemperatures } from './temperature-history.js';
+import { getJSON, setJSON, incrementCounter } from './redis.js';
+import { listResorts, findFnuggHit } from './resorts.js';
+import { recordLiftStates } from './lift-history.js';
+import { readSensors } from './homey-sensors.js';
+import { publishSourceUpdate } from './live-updates.js';
+import { summarizeDays } from './forecast-days.js';
+import { precipitationOutlook } from './precipitation.js';
+import { getLocationForecast } from './met-no.js';
+import { freezingLevels } from './freezing-level.js';
+import { recordSnowfall } from './wax.js';
+import { deriveForecastMetrics, stationMetrics } from './derived-metrics.js';
+import { snowmakingOutlook } from './snowmaking.js';
+import { estimateSnowQuality } from './snow-quality.js';
+import { detectWeatherEvents } from './weather-events.js';
+
+// ========== FNUGG API ==========
+
+async function getFnuggData(resortConfig) {
+  console.log('📡 Fetching from Fnugg API...');
+  
+  try {
+    const url = 'https://api.fnugg.no/search?size=150';
+    
+    const response = await fetch(url, {
+      headers: { 
+        'User-Agent': 'WKWeatherDashboard/1.0',
+        'Accept': 'application/json'
+      }
+    });
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    const data = await response.json();
+    const hits = data.hits?.hits || [];
+    const total = data.hits?.total || 0;
+    
+    console.log(`✅ Received ${hits.length} resorts out of ${total} total`);
+    
+    const resortHit = findFnuggHit(resortConfig, hits);
+    
+    if (!resortHit) {
+      throw new Error(`${resortConfig.name} not found in API results`);
+    }
+    
+    const resort = resortHit._source;
+    console.log(`✅ Found ${resortConfig.name}: ${resort.name} (ID: ${resort.id})`);
+    
+    // Extract complete snow data
+    const topSnow = resort.conditions?.combined?.top?.snow || {};
+    const bottomSnow = resort.conditions?.combined?.bottom?.snow || {};
+    
+    return {
+      top: {
+        temperature: resort.conditions?.combined?.top?.temperature?.value?.toString() || '--',
+        condition: resort.conditions?.combined?.top?.condition_description || 'Loading...',
+        wind: resort.conditions?.combined?.top?.wind?.mps?.toString() || '0.0',
+        snow: {
+          depth_terrain: topSnow.depth_terrain?.toString() || '0',
+          depth_slope: topSnow.depth_slope?.toString() || '0',
+          today: topSnow.today?.toString() || '0',
+          week: topSnow.week?.toString() || '0',
+          season: topSnow.season?.toString() || '0'
+        }
+      },
+      bottom: {
+        temperature: resort.conditions?.combined?.bottom?.temperature?.value?.toString() || '--',
+        condition: resort.conditions?.combined?.bottom?.condition_description || 'Loading...',
+        wind: resort.conditions?.combined?.bottom?.wind?.mps?.toString() || '0.0',
+        snow: {
+          depth_terrain: bottomSnow.depth_terrain?.toString() || '0',
+          depth_slope: bottomSnow.depth_slope?.toString() || '0',
+          today: bottomSnow.today?.toString() || '0',
+          week: bottomSnow.week?.toString() || '0',
+          season: bottomSnow.season?.toString() || '0'
+        }
+      },
+      lifts: parseLiftStatus(resort.lifts, resortConfig.liftOrder),
+      slopes: parseSlopeStatus(resort.slopes),
+      timestamp: new Date().toISOString()
+    };
+    
+  } catch (err) {
+    console.error(`❌ Fnugg error:`, err.message);
+    throw err;
+  }
+}
+
+function slugify(name) {
+  return name
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+function isOpen(status) {
+  return status === '1' || status === 1 || status === true || status === 'open';
+}
+
+// Fnugg prefixes map letters to names, e.g. "L. Gondolen"
+function stripMapLetter(name) {
+  return (name || '').replace(/^[A-Z]\. /, '').trim();
+}
+
+/**
+ * Normalize one Fnugg lift or slope entry.
+ * Known fields are mapped; everything else Fnugg sends is kept in `details`.
+ */
+function normalizeFacility(item) {
+  const {
+    id, name, type, status, opening_hours, openingHours, ...details
+  } = item;
+  const displayName = stripMapLetter(name);
+  
+  return {
+    id: id !== undefined && id !== null ? String(id) : slugify(displayName),
+    name: displayName,
+    type: type || null,
+    status: isOpen(status) ? 'open' : 'closed',
+    openingHours: opening_hours || openingHours || null,
+    details
+  };
+}
+
+function summarizeFacilities(list) {
+  return {
+    total: list.length,
+    open: list.filter(item => item.status === 'open').length,
+    list
+  };
+}
+
+/**
+ * Every lift Fnugg reports, as { total, open, list }.
+ * Lifts named in the resort's liftOrder come first, in that order.
+ */
+function parseLiftStatus(liftsData, liftOrder = []) {
+  const list = (liftsData?.list || []).map(normalizeFacility);
+  
+  const rank = lift => {
+    const index = liftOrder.findIndex(name => lift.name.includes(name));
+    return index === -1 ? liftOrder.length : index;
+  };
+  list.sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name));
+  
+  return summarizeFacilities(list);
+}
+
+/**
+ * Slope/piste status, or null if Fnugg has no slope list for the resort
+ */
+function parseSlopeStatus(slopesData) {
+  if (!slopesData?.list) return null;
+  
+  const list = slopesData.list.map(normalizeFacility);
+  list.sort((a, b) => a.name.localeCompare(b.name));
+  
+  return summarizeFacilities(list);
+}
+
+// ========== YR.NO ==========
+
+/**
+ * The forecast stations of a resort: the top and bottom lift stations and
+ * the configured forecast point (the stadium)
+ */
+function forecastStations(resortConfig) {
+  const { name, altitude } = resortConfig.forecast;
+  return {
+    top: { name: 'Top', altitude: resortConfig.elevations.top },
+    stadium: { name, altitude },
+    bottom: { name: 'Bottom', altitude: resortConfig.elevations.bottom }
+  };
+}
+
+async function getYrForecast(resortConfig) {
+  const { lat, lon } = resortConfig.forecast;
+  const stations = forecastStations(resortConfig);
+  console.log(`📡 Fetching YR.no for ${Object.values(stations).map(s => `${s.name} (${s.altitude}m)`).join(', ')}...`);
+  
+  // One Met.no forecast per altitude; the full ~9 days, including the
+  // next_6_hours / next_12_hours blocks. Each entry gets the derived
+  // metrics (wind chill, dew point, ...) as entry.derived
+  const forecasts = await Promise.all(Object.entries(stations).map(async ([key, station]) => {
+    const { data } = await getLocationForecast({ lat, lon, altitude: station.altitude });
+    const timeseries = data.properties.timeseries.map(entry => ({ ...entry, derived: deriveForecastMetrics(entry) }));
+    return [key, { ...station, timeseries, days: summarizeDays(timeseries) }];
+  }));
+  const byStation = Object.fromEntries(forecasts);
+  
+  return {
+    stations: byStation,
+    defaultStation: 'stadium',
+    precipitation: precipitationOutlook(byStation.stadium.timeseries, {
+      top: byStation.top.timeseries,
+      bottom: byStation.bottom.timeseries
+    }),
+    freezingLevel: freezingLevels(byStation.top, byStation.bottom),
+    timestamp: new Date().toISOString()
+  };
+}
+
+// ========== HOMEY ==========
+
+async function getHomeyData() {
+  console.log('📡 Fetching Homey...');
+  
+  try {
+    const data = await readSensors();
+    return {
+      temperature: data.temperature?.toString() ?? null,
+      humidity: data.humidity?.toString() ?? null,
+      readings: data.readings,
+      temperatureStale: data.temperatureStale,
+      humidityStale: data.humidityStale,
+      stale: data.stale,
+      batteryLow: data.batteryLow,
+      staleAfterMinutes: data.staleAfterMinutes,
+      timestamp: new Date().toISOString()
+    };
+  } catch (err) {
+    console.log('⚠️ Homey error:', err.message);
+    throw err;
+  }
+}
+
+// ========== SOURCE FRESHNESS ==========
+
+/**
+ * Fetch one source independently of the others.
+ * On failure the last good value is returned with status 'stale',
+ * or null with status 'offline' if nothing was ever stored.
+ * Last good values are kept for lastGoodDays (settings.cache).
+ * name is `<source>` or `<source>:<resort slug>`.
+ */
+async function fetchSource(name, fetcher, lastGoodDays) {
+  const result = await fetchWithFallback(name, fetcher, lastGoodDays);
+  const [source, resort = null] = name.split(':');
+  await publishSourceUpdate(source, resort, result);
+  return result;
+}
+
+async function fetchWithFallback(name, fetcher, lastGoodDays) {
+  const key = `source:${name}`;
+  
+  try {
+    const data = await fetcher();
+    const fetchedAt = new Date().toISOString();
+    await setJSON(key, { data, fetchedAt }, lastGoodDays * 24 * 60 * 60);
+    
+    return {
+      data,
+      meta: { status: 'ok', fetchedAt, ageSeconds: 0, error: null }
+    };
+  } catch (error) {
+    console.error(`❌ Source ${name} failed:`, error.message);
+    
+    const reauthRequired = Boolean(error.reauthRequired);
+    const lastGood = await getJSON(key);
+    if (lastGood) {
+      return {
+        data: lastGood.data,
+        meta: {
+          status: 'stale',
+          fetchedAt: lastGood.fetchedAt,
+          ageSeconds: Math.round((Date.now() - new Date(lastGood.fetchedAt).getTime()) / 1000),
+          error: error.message,
+          reauthRequired
+        }
+      };
+    }
+    
+    return {
+      data: null,
+      meta: { status: 'offline', fetchedAt: null, ageSeconds: null, error: error.message, reauthRequired }
+    };
+  }
+}
+
+// ========== FETCH ALL ==========
+
+/**
+ * Refresh a resort when its data is older than the dashboard refresh
+ * interval, for /api/stream. A lock makes sure only one open stream
+ * refreshes a resort per interval. Returns true if it refreshed.
+ */
+export async function refreshIfDue(resortConfig, settings) {
+  const intervalSeconds = settings.dashboard.refreshMinutes * 60;
+  const lastGood = await getJSON(`source:fnugg:${resortConfig.slug}`);
+  const ageSeconds = lastGood ? (Date.now() - new Date(lastGood.fetchedAt).getTime()) / 1000 : Infinity;
+  if (ageSeconds < intervalSeconds) return false;
+  
+  const lock = await incrementCounter(`refresh_lock:${resortConfig.slug}`, intervalSeconds);
+  if (lock !== 1) return false;
+  
+  await fetchAllData(resortConfig, settings);
+  return true;
+}
+
+/**
+ * The last good data of each source for a resort, without fetching:
+ * { hafjell, yr, homey } (null where nothing is stored)
+ */
+export async function getLastGoodData(resortConfig) {
+  const [fnugg, yr, homey] = await Promise.all([
+    getJSON(`source:fnugg:${resortConfig.slug}`),
+    getJSON(`source:yr:${resortConfig.slug}`),
+    getJSON('source:homey')
+  ]);
+  return {
+    hafjell: fnugg?.data ?? null,
+    yr: yr?.data ?? null,
+    homey: homey?.data ?? null
+  };
+}
+
+export const LIVE_SOURCES = ['fnugg', 'yr', 'homey', 'derived'];
+
+/**
+ * The stored data of one source for a resort, for clients following
+ * /api/stream: { data, fetchedAt }, or null when nothing is stored.
+ * source is one of LIVE_SOURCES.
+ */
+export async function getSourceData(resortConfig, source) {
+  return getJSON(source === 'homey' ? 'source:homey' : `source:${source}:${resortConfig.slug}`);
+}
+
+/**
+ * Fetch every source for a resort (from getResort, with settings overrides
+ * applied) and record the fresh readings. settings is from lib/settings.js.
+ */
+export async function fetchAllData(resortConfig, settings) {
+  const { lastGoodDays } = settings.cache;
+
+  console.log(`🔄 Fetching all data sources for ${resortConfig.name}...`);
+  
+  // Homey is the cabin sensor and shared by all resorts
+  const [fnugg, yr, homey] = await Promise.all([
+    fetchSource(`fnugg:${resortConfig.slug}`, () => getFnuggData(resortConfig), lastGoodDays),
+    fetchSource(`yr:${resortConfig.slug}`, () => getYrForecast(resortConfig), lastGoodDays),
+    fetchSource('homey', getHomeyData, lastGoodDays)
+  ]);
+  
+  // A last-good forecast keeps its outlook to the hours still ahead
+  if (yr.meta.status === 'stale' && yr.data?.stations) {
+    yr.data.precipitation = precipitationOutlook(yr.data.stations.stadium.timeseries, {
+      top: yr.data.stations.top.timeseries,
+      bottom: yr.data.stations.bottom.timeseries
+    });
+  }
+  
+  // Only fresh readings go into the history, never last-good fallbacks
+  const isFresh = source => source.meta.status === 'ok';
+  const temperatures = {
+    homey: isFresh(homey) && !homey.data.temperatureStale ? homey.data.temperature : null,
+    top: isFresh(fnugg) ? fnugg.data.top.temperature : null,
+    bottom: isFresh(fnugg) ? fnugg.data.bottom.temperature : null
+  };
+  await recordTemperatures(resortConfig.slug, temperatures);
+  const weatherEvents = await detectWeatherEvents(resortConfig.slug, temperatures);
+  
+  if (isFresh(fnugg)) {
+    await recordLiftStates(resortConfig.slug, fnugg.data.lifts.list, {
+      wind: fnugg.data.top.wind
+    });
+    await recordSnowfall(resortConfig.slug, fnugg.data);
+  }
+  
+  // Derived from several sources, so published as a source of its own.
+  // Snowmaking uses the forecast point with the Homey humidity as ground truth
+  const derived = stationMetrics({ hafjell: fnugg.data, yr: yr.data, homey: homey.data });
+  const forecastPoint = yr.data?.stations?.[yr.data.defaultStation];
+  derived.snowmaking = forecastPoint
+    ? snowmakingOutlook(forecastPoint.timeseries, derived.homey?.humidity ?? null)
+    : null;
+  derived.snowQuality = await estimateSnowQuality(resortConfig, { hafjell: fnugg.data, yr: yr.data });
+  derived.activeEvents = weatherEvents.active;
+  const derivedAt = new Date().toISOString();
+  await setJSON(`source:derived:${resortConfig.slug}`, { data: derived, fetchedAt: derivedAt }, lastGoodDays * 24 * 60 * 60);
+  await publishSourceUpdate('derived', resortConfig.slug, {
+    meta: { status: 'ok', fetchedAt: derivedAt, ageSeconds: 0, error: null }
+  });
+  
+  return {
+    resort: {
+      slug: resortConfig.slug,
+      name: resortConfig.name,
+      elevations: resortConfig.elevations,
+      forecastName: resortConfig.forecast.name,
+      webcam: resortConfig.webcam
+    },
+    resorts: listResorts(),
+    hafjell: fnugg.data,
+    yr: yr.data,
+    homey: homey.data,
+    derived,
+    sources: {
+      fnugg: fnugg.meta,
+      yr: yr.meta,
+      homey: homey.meta
+    },
+    lastUpdate: new Date().toISOString()
+  };
+}
@@ -0,0 +1,146 @@
+/**
+ * Derived comfort metrics from temperature, humidity and wind
+ *
+ * - windChill: the North American / UK wind chill index (JAG/TI), only
+ *   defined at or below 10 °C with wind above 4.8 km/h
+ * - feelsLike: the wind chill where it is defined, else the air temperature
+ * - dewPoint: Magnus formula over water
+ * - frostPoint: Magnus formula over ice, from the same vapour pressure
+ * - wetBulb: Stull (2011), valid for 5-99 % humidity at sea-level pressure
+ *
+ * Temperatures are °C, humidity is relative humidity in %, wind is m/s.
+ * Every metric is null when its inputs are missing.
+ */
+
+// Magnus coefficients (Alduchov & Eskridge) over water and over ice
+const WATER = { a: 17.62, b: 243.12 };
+const ICE = { a: 22.46, b: 272.62 };
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && !isNaN(value);
+}
+
+// ln of the vapour pressure relative to 6.112 hPa
+function vapourLog(temperature, humidity) {
+  return Math.log(humidity / 100) + (WATER.a * temperature) / (WATER.b + temperature);
+}
+
+export function windChill(temperature, wind) {
+  if (!isNumber(temperature) || !isNumber(wind)) return null;
+
+  const kmh = wind * 3.6;
+  if (temperature > 10 || kmh <= 4.8) return null;
+
+  const v = Math.pow(kmh, 0.16);
+  return round1(13.12 + 0.6215 * temperature - 11.37 * v + 0.3965 * temperature * v);
+}
+
+export function dewPoint(temperature, humidity) {
+  if (!isNumber(temperature) || !isNumber(humidity) || humidity <= 0) return null;
+
+  const gamma = vapourLog(temperature, humidity);
+  return round1((WATER.b * gamma) / (WATER.a - gamma));
+}
+
+export function frostPoint(temperature, humidity) {
+  if (!isNumber(temperature) || !isNumber(humidity) || humidity <= 0) return null;
+
+  const gamma = vapourLog(temperature, humidity);
+  return round1((ICE.b * gamma) / (ICE.a - gamma));
+}
+
+export function wetBulb(temperature, humidity) {
+  if (!isNumber(temperature) || !isNumber(humidity) || humidity <= 0) return null;
+
+  const rh = Math.min(humidity, 100);
+  return round1(
+    temperature * Math.atan(0.151977 * Math.sqrt(rh + 8.313659)) +
+    Math.atan(temperature + rh) -
+    Math.atan(rh - 1.676331) +
+    0.00391838 * Math.pow(rh, 1.5) * Math.atan(0.023101 * rh) -
+    4.686035
+  );
+}
+
+/**
+ * { windChill, feelsLike, dewPoint, wetBulb, frostPoint } for one reading
+ */
+export function deriveMetrics({ temperature = null, humidity = null, wind = null }) {
+  const chill = windChill(temperature, wind);
+  return {
+    windChill: chill,
+    feelsLike: chill ?? (isNumber(temperature) ? round1(temperature) : null),
+    dewPoint: dewPoint(temperature, humidity),
+    wetBulb: wetBulb(temperature, humidity),
+    frostPoint: frostPoint(temperature, humidity)
+  };
+}
+
+/**
+ * Metrics for one Met.no timeseries entry (instant details)
+ */
+export function deriveForecastMetrics(entry) {
+  const details = entry.data.instant.details;
+  return deriveMetrics({
+    temperature: details.air_temperature,
+    humidity: details.relative_humidity,
+    wind: details.wind_speed
+  });
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '' || value === '--') {
+    return null;
+  }
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+// The forecast entry for the current hour (the first one if all are ahead)
+function currentEntry(timeseries = [], now) {
+  const past = timeseries.filter(item => new Date(item.time) <= now);
+  return past[past.length - 1] || timeseries[0] || null;
+}
+
+/**
+ * Metrics for the Homey sensor and the resort's top and bottom stations,
+ * from the source data ({ hafjell, yr, homey }, see lib/data-sources.js):
+ * { homey, top, bottom }, each with the inputs used. Fnugg reports no
+ * humidity, so the stations use their own Met.no forecast for the current
+ * hour and fall back to the Homey reading.
+ */
+export function stationMetrics({ hafjell, yr, homey }, now = new Date()) {
+  const homeyHumidity = homey && !homey.humidityStale ? toNumber(homey.humidity) : null;
+  const result = {
+    homey: null,
+    top: null,
+    bottom: null
+  };
+
+  if (homey && !homey.temperatureStale) {
+    const inputs = { temperature: toNumber(homey.temperature), humidity: homeyHumidity, wind: null };
+    result.homey = { ...inputs, ...deriveMetrics(inputs) };
+  }
+
+  for (const station of ['top', 'bottom']) {
+    if (!hafjell?.[station]) continue;
+
+    const forecastHumidity = currentEntry(yr?.stations?.[station]?.timeseries, now)?.data.instant.details.relative_humidity ?? null;
+    const inputs = {
+      temperature: toNumber(hafjell[station].temperature),
+      humidity: forecastHumidity ?? homeyHumidity,
+      wind: toNumber(hafjell[station].wind)
+    };
+    result[station] = {
+      ...inputs,
+      humiditySource: forecastHumidity !== null ? 'met.no' : (homeyHumidity !== null ? 'homey' : null),
+      ...deriveMetrics(inputs)
+    };
+  }
+
+  return result;
+}
@@ -0,0 +1,50 @@
+/**
+ * Encryption at rest for stored secrets (e.g. the Homey refresh token)
+ *
+ * AES-256-GCM with a key derived from TOKEN_ENCRYPTION_KEY, falling back to
+ * SESSION_SECRET. Ciphertexts are strings: v1:<iv>:<auth tag>:<data> (base64url).
+ * Changing the key makes stored secrets unreadable, which callers treat as
+ * "not stored".
+ */
+
+import crypto from 'crypto';
+
+const VERSION = 'v1';
+
+function encryptionKey() {
+  const secret = process.env.TOKEN_ENCRYPTION_KEY || process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('TOKEN_ENCRYPTION_KEY (or SESSION_SECRET) is not configured');
+  }
+  return crypto.createHash('sha256').update(`wk-dashboard-secrets:${secret}`).digest();
+}
+
+export function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [VERSION, iv, cipher.getAuthTag(), data].map(part =>
+    Buffer.isBuffer(part) ? part.toString('base64url') : part
+  ).join(':');
+}
+
+/**
+ * Decrypt a value from encryptSecret, or null if it cannot be decrypted
+ */
+export function decryptSecret(ciphertext) {
+  const [version, iv, tag, data] = String(ciphertext || '').split(':');
+  if (version !== VERSION || !iv || !tag || !data) return null;
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(data, 'base64url')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    console.error('⚠️ Could not decrypt stored secret:', error.message);
+    return null;
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * Daily summaries of a Met.no locationforecast timeseries
+ *
+ * The timeseries is hourly for the first ~2.5 days and 6-hourly after that.
+ * Each entry's precipitation is taken from the block that reaches the next
+ * entry (next_1_hours, else next_6_hours, prorated where the spacing
+ * changes), so nothing is counted twice. Days are calendar days in
+ * Europe/Oslo (lib/oslo-time.js).
+ */
+
+import { osloDate } from './oslo-time.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Met.no symbols that come in _day/_night/_polartwilight variants
+const HAS_DAY_VARIANT = /^(clearsky|fair|partlycloudy)$|showers/;
+
+// clearsky_day / clearsky_night -> clearsky
+function baseSymbol(symbolCode) {
+  return symbolCode.replace(/_(day|night|polartwilight)$/, '');
+}
+
+/**
+ * Precipitation (mm) and symbol for the period from an entry to the next
+ */
+function periodWeather(entry, hours) {
+  const { next_1_hours: oneHour, next_6_hours: sixHours } = entry.data;
+
+  if (hours <= 1 && oneHour) {
+    return {
+      precipitation: oneHour.details?.precipitation_amount ?? 0,
+      symbol: oneHour.summary?.symbol_code ?? null
+    };
+  }
+  if (sixHours) {
+    return {
+      precipitation: (sixHours.details?.precipitation_amount ?? 0) * Math.min(hours, 6) / 6,
+      symbol: sixHours.summary?.symbol_code ?? null
+    };
+  }
+  return { precipitation: 0, symbol: oneHour?.summary?.symbol_code ?? null };
+}
+
+/**
+ * One summary per day, starting with the first day in the timeseries:
+ * { date, minTemperature, maxTemperature, precipitation, symbol, maxWind, hours }
+ * symbol is the base symbol covering most hours of the day (daytime
+ * variant, e.g. partlycloudy_day). hours is the number of forecast hours
+ * the day covers, so a partial first or last day can be told apart.
+ */
+export function summarizeDays(timeseries, days = 7) {
+  const byDate = new Map();
+
+  timeseries.forEach((entry, i) => {
+    const next = timeseries[i + 1];
+    const hours = next ? (new Date(next.time) - new Date(entry.time)) / HOUR_MS : 0;
+    const date = osloDate(new Date(entry.time));
+    const details = entry.data.instant.details;
+
+    if (!byDate.has(date)) {
+      if (byDate.size === days) return;
+      byDate.set(date, {
+        date,
+        temperatures: [],
+        precipitation: 0,
+        symbolHours: {},
+        maxWind: null,
+        hours: 0
+      });
+    }
+    const day = byDate.get(date);
+
+    day.temperatures.push(details.air_temperature);
+    const sixHours = entry.data.next_6_hours?.details;
+    if (hours > 1 && sixHours) {
+      // Between 6-hourly entries the instant values miss the extremes
+      if (sixHours.air_temperature_min !== undefined) day.temperatures.push(sixHours.air_temperature_min);
+      if (sixHours.air_temperature_max !== undefined) day.temperatures.push(sixHours.air_temperature_max);
+    }
+    if (details.wind_speed !== undefined) {
+      day.maxWind = Math.max(day.maxWind ?? 0, details.wind_speed);
+    }
+
+    if (hours > 0) {
+      const { precipitation, symbol } = periodWeather(entry, hours);
+      day.precipitation += precipitation;
+      day.hours += hours;
+      if (symbol) {
+        const key = baseSymbol(symbol);
+        day.symbolHours[key] = (day.symbolHours[key] || 0) + hours;
+      }
+    }
+  });
+
+  return [...byDate.values()].map(day => {
+    const [dominant] = Object.entries(day.symbolHours).sort((a, b) => b[1] - a[1])[0] || [null];
+
+    return {
+      date: day.date,
+      minTemperature: Math.round(Math.min(...day.temperatures) * 10) / 10,
+      maxTemperature: Math.round(Math.max(...day.temperatures) * 10) / 10,
+      precipitation: Math.round(day.precipitation * 10) / 10,
+      symbol: dominant && HAS_DAY_VARIANT.test(dominant) ? `${dominant}_day` : dominant,
+      maxWind: day.maxWind,
+      hours: Math.min(day.hours, 24)
+    };
+  });
+}
@@ -0,0 +1,39 @@
+/**
+ * Freezing level between two forecast stations
+ *
+ * Where the top and bottom forecasts disagree about freezing (one at or
+ * below 0 °C, the other above), the 0 °C altitude is interpolated linearly
+ * between them. inversion is true when it is colder at the bottom.
+ */
+
+/**
+ * Altitude of 0 °C between two points, or null if both are on the same side
+ */
+export function freezingAltitude(bottom, top) {
+  const bottomFrozen = bottom.temperature <= 0;
+  const topFrozen = top.temperature <= 0;
+  if (bottomFrozen === topFrozen) return null;
+
+  const fraction = bottom.temperature / (bottom.temperature - top.temperature);
+  return Math.round(bottom.altitude + fraction * (top.altitude - bottom.altitude));
+}
+
+/**
+ * [{ time, altitude, inversion }] for every time both stations forecast
+ * and disagree about freezing. top and bottom are { altitude, timeseries }.
+ */
+export function freezingLevels(top, bottom) {
+  const bottomByTime = new Map(bottom.timeseries.map(item => [item.time, item]));
+
+  return top.timeseries.flatMap(item => {
+    const bottomItem = bottomByTime.get(item.time);
+    if (!bottomItem) return [];
+
+    const topPoint = { altitude: top.altitude, temperature: item.data.instant.details.air_temperature };
+    const bottomPoint = { altitude: bottom.altitude, temperature: bottomItem.data.instant.details.air_temperature };
+    const altitude = freezingAltitude(bottomPoint, topPoint);
+    if (altitude === null) return [];
+
+    return [{ time: item.time, altitude, inversion: bottomPoint.temperature < topPoint.temperature }];
+  });
+}
@@ -0,0 +1,112 @@
+/**
+ * Hafjell snow report parser
+ *
+ * Parses the weather stations on https://www.hafjell.no/en/snorapport-hafjell
+ * with jsdom. The page has no station blocks or field classes: the stations
+ * are a run of value cells, the two temperatures first (top, bottom), then
+ * the two winds in m/s, then the sky condition and the snow depth in cm,
+ * which the page gives once for the whole resort:
+ *
+ *   11 | 20 | 5.6m/s | 2.0m/s
+ *   Mostly sunny | 65cm
+ *
+ * The parser walks the leaf elements in document order, finds the
+ * temperature/wind run and reads the condition and snow depth from the
+ * cells after it. This layout is inferred from the regex parser it
+ * replaced; tests/fixtures/hafjell-snow-report.html is synthetic markup of
+ * that shape, not a capture of the live page.
+ *
+ * Anything that cannot be found is returned as null - never a made-up
+ * default. The page has no new-snow figure, so snowLastDay is always null.
+ * The result lists which fields were parsed and which were not, so callers
+ * can tell a layout change from a quiet day.
+ */
+
+import { JSDOM } from 'jsdom';
+
+export const STATIONS = ['top', 'bottom'];
+export const FIELDS = ['temperature', 'condition', 'wind', 'snow', 'snowLastDay'];
+
+// Elements that can hold a single value
+const CELL_SELECTOR = 'td, th, dd, dt, li, p, span, div, strong, b';
+
+const CELL_PATTERNS = {
+  temperature: /^(-?\d{1,2}(?:[.,]\d+)?)\s*(?:°\s*C?)?$/i,
+  wind: /^(\d+(?:[.,]\d+)?)\s*m\/s$/i,
+  snow: /^(\d+)\s*cm$/i,
+  condition: /^[^\d]{3,40}$/
+};
+
+function cleanText(element) {
+  return (element?.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+function toNumber(text) {
+  return parseFloat(text.replace(',', '.'));
+}
+
+function readCell(field, text) {
+  const match = text?.match(CELL_PATTERNS[field]);
+  if (!match) return null;
+  return field === 'condition' ? text : toNumber(match[1]);
+}
+
+/**
+ * Texts of the leaf value cells, in document order
+ */
+function findCells(document) {
+  return Array.from(document.querySelectorAll(CELL_SELECTOR))
+    .filter(element => element.children.length === 0)
+    .map(cleanText)
+    .filter(Boolean);
+}
+
+/**
+ * Index of the first cell of the temperature/wind run, or -1
+ */
+function findStationRun(cells) {
+  return cells.findIndex((text, i) =>
+    readCell('temperature', text) !== null &&
+    readCell('temperature', cells[i + 1]) !== null &&
+    readCell('wind', cells[i + 2]) !== null &&
+    readCell('wind', cells[i + 3]) !== null
+  );
+}
+
+function findAfter(cells, start, field) {
+  for (const text of cells.slice(start)) {
+    const value = readCell(field, text);
+    if (value !== null) return value;
+  }
+  return null;
+}
+
+/**
+ * Parse the snow report HTML.
+ * Returns { top, bottom, parsedFields, missingFields } where every missing
+ * value is null and field names are 'station.field', e.g. 'top.wind'.
+ */
+export function parseSnowReport(html) {
+  const result = { parsedFields: [], missingFields: [] };
+  const { document } = new JSDOM(html || '').window;
+  const cells = findCells(document);
+  const run = findStationRun(cells);
+
+  STATIONS.forEach((station, i) => {
+    result[station] = Object.fromEntries(FIELDS.map(field => [field, null]));
+    if (run === -1) return;
+
+    result[station].temperature = readCell('temperature', cells[run + i]);
+    result[station].wind = readCell('wind', cells[run + 2 + i]);
+    result[station].condition = findAfter(cells, run + 4, 'condition');
+    result[station].snow = findAfter(cells, run + 4, 'snow');
+  });
+
+  for (const station of STATIONS) {
+    for (const field of FIELDS) {
+      (result[station][field] !== null ? result.parsedFields : result.missingFields).push(`${station}.${field}`);
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,330 @@
+/**
+ * Shared Homey client (Athom Cloud OAuth + Homey Pro session)
+ *
+ * Used by every Homey endpoint. The refresh token, access token and Homey
+ * session are persisted via lib/redis.js, so they survive cold starts and
+ * are shared between functions:
+ * - homey:refresh_token  current refresh token, encrypted (lib/encryption.js)
+ * - homey:access_token   { token, expiresAt }
+ * - homey:session        { token, direct, remoteUrl, homeyId, homeyName }
+ *
+ * The refresh token is stored by the server-side OAuth flow in
+ * api/oauth-callback.js; HOMEY_REFRESH_TOKEN is only a fallback for
+ * deployments set up before that. When Athom rotates the refresh token,
+ * the new one is stored automatically.
+ * When the refresh token is rejected, HomeyReauthRequiredError is thrown so
+ * endpoints can report "re-authorization required" instead of a generic error.
+ *
+ * Environment variables:
+ * - HOMEY_CLIENT_ID
+ * - HOMEY_CLIENT_SECRET
+ * - HOMEY_REFRESH_TOKEN (optional legacy token, used when none is stored)
+ * - TOKEN_ENCRYPTION_KEY (optional, defaults to SESSION_SECRET)
+ */
+
+import { getJSON, setJSON, deleteKey } from './redis.js';
+import { encryptSecret, decryptSecret } from './encryption.js';
+
+const ATHOM_API = 'https://api.athom.com';
+
+const KEYS = {
+  refreshToken: 'homey:refresh_token',
+  accessToken: 'homey:access_token',
+  session: 'homey:session'
+};
+
+const ACCESS_TOKEN_BUFFER = 5 * 60 * 1000; // Refresh 5 minutes before expiry
+const SESSION_TTL = 6 * 60 * 60; // Re-create the Homey session every 6 hours
+
+export class HomeyReauthRequiredError extends Error {
+  constructor(message = 'Homey re-authorization required') {
+    super(message);
+    this.name = 'HomeyReauthRequiredError';
+    this.reauthRequired = true;
+  }
+}
+
+/**
+ * Standard JSON body for endpoints that hit HomeyReauthRequiredError
+ */
+export function reauthRequiredResponse(error) {
+  return {
+    error: 'Homey re-authorization required',
+    reauthRequired: true,
+    message: `${error.message}. An admin can re-authorize Homey from the dashboard.`,
+    timestamp: new Date().toISOString()
+  };
+}
+
+function basicAuthHeader() {
+  return 'Basic ' + Buffer.from(
+    `${process.env.HOMEY_CLIENT_ID}:${process.env.HOMEY_CLIENT_SECRET}`
+  ).toString('base64');
+}
+
+// Athom returns some tokens as JSON and some as (quoted) plain text
+async function readToken(response, ...fields) {
+  const contentType = response.headers.get('content-type');
+  let token;
+
+  if (contentType && contentType.includes('application/json')) {
+    const json = await response.json();
+    const field = fields.find(f => json && json[f]);
+    token = field ? json[field] : (typeof json === 'string' ? json : JSON.stringify(json));
+  } else {
+    token = await response.text();
+  }
+
+  return token.replace(/^"(.*)"$/, '$1');
+}
+
+// ========== REFRESH / ACCESS TOKENS ==========
+
+async function getStoredRefreshToken() {
+  const stored = await getJSON(KEYS.refreshToken);
+  if (!stored) return null;
+  return stored.encrypted ? decryptSecret(stored.encrypted) : stored.token || null;
+}
+
+/**
+ * Persist a refresh token (e.g. after rotation or a new OAuth authorization)
+ */
+export async function storeRefreshToken(refreshToken) {
+  await setJSON(KEYS.refreshToken, {
+    encrypted: encryptSecret(refreshToken),
+    updatedAt: new Date().toISOString()
+  });
+  await Promise.all([deleteKey(KEYS.accessToken), deleteKey(KEYS.session)]);
+}
+
+async function requestAccessToken(refreshToken) {
+  const response = await fetch(`${ATHOM_API}/oauth2/token`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Authorization': basicAuthHeader()
+    },
+    body: `grant_type=refresh_token&refresh_token=${encodeURIComponent(refreshToken)}`
+  });
+
+  if (response.status === 400 || response.status === 401) {
+    const errorText = await response.text();
+    console.error('Refresh token rejected:', response.status, errorText);
+    return null;
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Token refresh failed: ${response.status} - ${errorText}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Get a valid access token, refreshing it when needed.
+ * Tries the stored (possibly rotated) refresh token first, then
+ * HOMEY_REFRESH_TOKEN if it differs.
+ */
+export async function getAccessToken() {
+  const cached = await getJSON(KEYS.accessToken);
+  if (cached && cached.expiresAt - Date.now() > ACCESS_TOKEN_BUFFER) {
+    return cached.token;
+  }
+
+  console.log('Refreshing Homey access token...');
+
+  const candidates = [await getStoredRefreshToken(), process.env.HOMEY_REFRESH_TOKEN]
+    .filter((token, i, all) => token && all.indexOf(token) === i);
+
+  if (candidates.length === 0) {
+    throw new HomeyReauthRequiredError('No Homey refresh token configured');
+  }
+
+  for (const refreshToken of candidates) {
+    const tokenData = await requestAccessToken(refreshToken);
+    if (!tokenData) continue;
+
+    const nextRefreshToken = tokenData.refresh_token || refreshToken;
+    if (nextRefreshToken !== (await getStoredRefreshToken())) {
+      console.log('🔁 Storing rotated Homey refresh token');
+      await storeRefreshToken(nextRefreshToken);
+    }
+
+    const expiresAt = Date.now() + tokenData.expires_in * 1000;
+    await setJSON(KEYS.accessToken, { token: tokenData.access_token, expiresAt }, tokenData.expires_in);
+
+    console.log('Access token refreshed successfully');
+    return tokenData.access_token;
+  }
+
+  await Promise.all([deleteKey(KEYS.accessToken), deleteKey(KEYS.session)]);
+  throw new HomeyReauthRequiredError('Homey refresh token was rejected');
+}
+
+// ========== OAUTH AUTHORIZATION ==========
+
+/**
+ * Athom authorization page for a new refresh token
+ */
+export function getAuthorizationUrl(state, redirectUri) {
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: process.env.HOMEY_CLIENT_ID,
+    redirect_uri: redirectUri,
+    state
+  });
+  return `${ATHOM_API}/oauth2/authorise?${params.toString()}`;
+}
+
+/**
+ * Exchange an authorization code for tokens and store the refresh token.
+ * The tokens never leave the server.
+ */
+export async function completeAuthorization(code, redirectUri) {
+  const response = await fetch(`${ATHOM_API}/oauth2/token`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Authorization': basicAuthHeader()
+    },
+    body: `grant_type=authorization_code&code=${encodeURIComponent(code)}&redirect_uri=${encodeURIComponent(redirectUri)}`
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Token exchange failed: ${response.status} - ${errorText}`);
+  }
+
+  const tokens = await response.json();
+  if (!tokens.refresh_token) {
+    throw new Error('Token exchange returned no refresh token');
+  }
+
+  await storeRefreshToken(tokens.refresh_token);
+  if (tokens.access_token && tokens.expires_in) {
+    await setJSON(KEYS.accessToken, {
+      token: tokens.access_token,
+      expiresAt: Date.now() + tokens.expires_in * 1000
+    }, tokens.expires_in);
+  }
+}
+
+// ========== HOMEY SESSION ==========
+
+export async function getHomeyInfo(accessToken) {
+  const response = await fetch(`${ATHOM_API}/user/me`, {
+    method: 'GET',
+    headers: { 'Authorization': `Bearer ${accessToken}` }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to get user info: ${response.status}`);
+  }
+
+  const user = await response.json();
+  if (!user.homeys || user.homeys.length === 0) {
+    throw new Error('No Homeys found for this account');
+  }
+
+  const homey = user.homeys[0];
+  return {
+    homeyId: homey._id,
+    homeyName: homey.name,
+    remoteUrl: homey.remoteUrlSecure || homey.remoteUrl
+  };
+}
+
+async function getDelegationToken(accessToken) {
+  const response = await fetch(`${ATHOM_API}/delegation/token?audience=homey`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Authorization': `Bearer ${accessToken}`
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Delegation token failed: ${response.status}`);
+  }
+
+  return readToken(response, 'token');
+}
+
+async function createHomeySession(delegationToken, remoteUrl) {
+  const response = await fetch(`${remoteUrl}/api/manager/users/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token: delegationToken })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Homey session creation failed: ${response.status}`);
+  }
+
+  return readToken(response, 'token', 'bearer_token');
+}
+
+/**
+ * Get the stored Homey session, or build a new one.
+ * Newer Homey firmware accepts the delegation token directly (direct: true);
+ * otherwise it is exchanged for a session token.
+ */
+async function getHomeySession({ forceLogin = false } = {}) {
+  if (!forceLogin) {
+    const cached = await getJSON(KEYS.session);
+    if (cached) return cached;
+  }
+
+  const accessToken = await getAccessToken();
+  const info = await getHomeyInfo(accessToken);
+  const delegationToken = await getDelegationToken(accessToken);
+
+  const session = forceLogin
+    ? { ...info, token: await createHomeySession(delegationToken, info.remoteUrl), direct: false }
+    : { ...info, token: delegationToken, direct: true };
+
+  await setJSON(KEYS.session, session, SESSION_TTL);
+  console.log(`✅ Homey session ready (${session.direct ? 'delegation token' : 'session login'})`);
+  return session;
+}
+
+/**
+ * GET a Homey Pro API path with the shared session.
+ * A rejected token triggers one retry with a fresh session login.
+ */
+export async function homeyRequest(path) {
+  let session = await getHomeySession();
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const response = await fetch(`${session.remoteUrl}${path}`, {
+      method: 'GET',
+      headers: { 'Authorization': `Bearer ${session.token}` }
+    });
+
+    if (response.ok) {
+      return { data: await response.json(), session };
+    }
+
+    if ((response.status === 401 || response.status === 403) && attempt === 0) {
+      console.log(`Homey rejected ${session.direct ? 'delegation' : 'session'} token, logging in again...`);
+      await deleteKey(KEYS.session);
+      session = await getHomeySession({ forceLogin: true });
+      continue;
+    }
+
+    const errorText = await response.text();
+    throw new Error(`Homey request ${path} failed: ${response.status} - ${errorText}`);
+  }
+}
+
+/**
+ * All devices keyed by device id
+ */
+export async function getAllDevices() {
+  const { data, session } = await homeyRequest('/api/manager/devices/device');
+  return {
+    devices: data,
+    homey: { id: session.homeyId, name: session.homeyName }
+  };
+}
@@ -0,0 +1,205 @@
+/**
+ * Homey sensor readings
+ *
+ * Any number of Homey device capabilities can be mapped to named dashboard
+ * readings. The list is settings.homey.sensors (lib/settings.js, editable in
+ * the dashboard); while that is empty, the JSON array in HOMEY_SENSORS is used:
+ *
+ *   [
+ *     { "key": "temperature", "deviceId": "…", "capability": "measure_temperature" },
+ *     { "key": "wind", "label": "Wind", "deviceId": "…", "capability": "measure_wind_strength", "unit": "km/h" },
+ *     { "key": "indoor", "label": "Cabin", "deviceId": "…", "capability": "measure_temperature" }
+ *   ]
+ *
+ * label, unit and decimals default per capability (CAPABILITY_DEFAULTS).
+ * Without HOMEY_SENSORS, HOMEY_DEVICE_ID_TEMP / HOMEY_DEVICE_ID_HUMIDITY
+ * are used as the outdoor temperature and humidity readings.
+ *
+ * Homey keeps returning the last cached value when a sensor stops
+ * reporting, so every reading carries its capability's lastUpdated time
+ * and is flagged stale after settings.homey.staleMinutes (default
+ * HOMEY_STALE_MINUTES or 60). Device availability and battery level are
+ * reported alongside; a battery below settings.homey.batteryLowPercent
+ * (default HOMEY_BATTERY_LOW_PERCENT or 20) is flagged low.
+ */
+
+import { getAllDevices } from './homey-client.js';
+import { getSettings } from './settings.js';
+
+export const CAPABILITY_DEFAULTS = {
+  measure_temperature: { label: 'Temperature', unit: '°C', decimals: 1 },
+  measure_humidity: { label: 'Humidity', unit: '%', decimals: 0 },
+  measure_wind_strength: { label: 'Wind', unit: 'km/h', decimals: 1 },
+  measure_gust_strength: { label: 'Gusts', unit: 'km/h', decimals: 1 },
+  measure_wind_angle: { label: 'Wind Direction', unit: '°', decimals: 0 },
+  measure_pressure: { label: 'Pressure', unit: 'mbar', decimals: 0 },
+  measure_rain: { label: 'Rain', unit: 'mm', decimals: 1 },
+  measure_battery: { label: 'Battery', unit: '%', decimals: 0 },
+  measure_luminance: { label: 'Light', unit: 'lux', decimals: 0 },
+  measure_co2: { label: 'CO₂', unit: 'ppm', decimals: 0 }
+};
+
+// Older devices expose the same values without the measure_ prefix
+const CAPABILITY_ALIASES = {
+  measure_temperature: ['temperature'],
+  measure_humidity: ['humidity']
+};
+
+function envSensorConfig() {
+  const tempDeviceId = process.env.HOMEY_DEVICE_ID_TEMP;
+  if (!tempDeviceId) return [];
+
+  return [
+    { key: 'temperature', deviceId: tempDeviceId, capability: 'measure_temperature' },
+    {
+      key: 'humidity',
+      deviceId: process.env.HOMEY_DEVICE_ID_HUMIDITY || tempDeviceId,
+      capability: 'measure_humidity'
+    }
+  ];
+}
+
+function normalizeSensor(sensor, index) {
+  if (!sensor.deviceId || !sensor.capability) {
+    throw new Error(`Sensor ${index + 1} needs a deviceId and a capability`);
+  }
+
+  const defaults = CAPABILITY_DEFAULTS[sensor.capability] || { label: sensor.capability, unit: '', decimals: 1 };
+  return {
+    key: sensor.key || `${sensor.capability}_${index}`,
+    label: sensor.label || defaults.label,
+    deviceId: sensor.deviceId,
+    capability: sensor.capability,
+    unit: sensor.unit ?? defaults.unit,
+    decimals: sensor.decimals ?? defaults.decimals
+  };
+}
+
+/**
+ * The configured sensors, with defaults filled in.
+ * configured is settings.homey.sensors; the environment is the fallback.
+ */
+export function getSensorConfig(configured = []) {
+  let sensors = envSensorConfig();
+
+  if (configured.length > 0) {
+    sensors = configured;
+  } else if (process.env.HOMEY_SENSORS) {
+    try {
+      sensors = JSON.parse(process.env.HOMEY_SENSORS);
+    } catch (error) {
+      throw new Error(`HOMEY_SENSORS is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (!Array.isArray(sensors) || sensors.length === 0) {
+    throw new Error('No Homey sensors configured (add them in the dashboard settings, or set HOMEY_SENSORS or HOMEY_DEVICE_ID_TEMP)');
+  }
+
+  return sensors.map(normalizeSensor);
+}
+
+function readCapability(device, capability) {
+  const caps = device.capabilitiesObj || device.capabilities || {};
+  const name = [capability, ...(CAPABILITY_ALIASES[capability] || [])].find(n => caps[n]);
+  return name ? caps[name] : null;
+}
+
+/**
+ * Availability and battery state of a Homey device
+ */
+function deviceHealth(device, batteryLowPercent) {
+  const battery = readCapability(device, 'measure_battery');
+  const batteryAlarm = readCapability(device, 'alarm_battery');
+  const batteryLevel = typeof battery?.value === 'number' ? battery.value : null;
+
+  return {
+    available: device.available !== false,
+    unavailableMessage: device.unavailableMessage || null,
+    battery: batteryLevel,
+    batteryLow: (batteryLevel !== null && batteryLevel < batteryLowPercent) || batteryAlarm?.value === true
+  };
+}
+
+function roundTo(value, decimals) {
+  if (typeof value !== 'number') return value ?? null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Read every configured sensor.
+ * Returns { readings, temperature, humidity, stale, batteryLow, … };
+ * temperature and humidity are the 'temperature' / 'humidity' readings,
+ * kept for existing consumers. stale is set when any reading is stale;
+ * temperatureStale and humidityStale only look at their own reading.
+ */
+export async function readSensors(now = new Date()) {
+  const { homey: settings } = await getSettings();
+  const config = getSensorConfig(settings.sensors);
+  const { staleMinutes, batteryLowPercent } = settings;
+  const { devices } = await getAllDevices();
+
+  const readings = config.map(sensor => {
+    const reading = {
+      key: sensor.key,
+      label: sensor.label,
+      unit: sensor.unit,
+      capability: sensor.capability,
+      deviceId: sensor.deviceId,
+      deviceName: null,
+      value: null,
+      lastUpdated: null,
+      ageMinutes: null,
+      stale: false,
+      device: null,
+      error: null
+    };
+
+    const device = devices[sensor.deviceId];
+    if (!device) {
+      reading.error = `Device ${sensor.deviceId} not found in Homey`;
+      console.warn(`⚠️ ${reading.error}`);
+      return reading;
+    }
+
+    reading.deviceName = device.name;
+    reading.device = deviceHealth(device, batteryLowPercent);
+    const capability = readCapability(device, sensor.capability);
+    if (!capability) {
+      reading.error = `Device ${device.name} has no ${sensor.capability}`;
+      console.warn(`⚠️ ${reading.error}`);
+      return reading;
+    }
+
+    reading.value = roundTo(capability.value, sensor.decimals);
+
+    if (capability.lastUpdated) {
+      reading.lastUpdated = new Date(capability.lastUpdated).toISOString();
+      reading.ageMinutes = Math.round((now.getTime() - new Date(capability.lastUpdated).getTime()) / 60000);
+      reading.stale = reading.ageMinutes > staleMinutes;
+    }
+    if (!reading.device.available) {
+      reading.stale = true;
+    }
+    if (reading.stale) {
+      console.warn(`⚠️ ${sensor.label} on ${device.name} is stale (last update ${reading.lastUpdated || 'unknown'})`);
+    }
+
+    return reading;
+  });
+
+  const valueOf = key => readings.find(r => r.key === key)?.value ?? null;
+  const isStale = key => readings.find(r => r.key === key)?.stale ?? false;
+
+  return {
+    readings,
+    temperature: valueOf('temperature'),
+    humidity: valueOf('humidity'),
+    temperatureStale: isStale('temperature'),
+    humidityStale: isStale('humidity'),
+    stale: readings.some(r => r.stale),
+    batteryLow: readings.some(r => r.device?.batteryLow),
+    staleAfterMinutes: staleMinutes
+  };
+}
@@ -0,0 +1,118 @@
+/**
+ * Kiosk devices (wall displays)
+ *
+ * A kiosk device signs in with a long-lived device token instead of a
+ * password, by opening the dashboard as /?kiosk=<token>. Devices are stored
+ * in lib/redis.js under kiosk_devices:
+ *
+ *   { "<id>": { id, name, tokenHash, createdAt, lastSeenAt } }
+ *
+ * Only a SHA-256 hash of the token is stored; the token itself is returned
+ * once, when the device is added. Kiosk sessions (lib/session.js) look the
+ * device up on every request, so removing a device signs it out. Changes
+ * hold kiosk_devices_lock, so a sign-in cannot bring back a removed device.
+ */
+
+import crypto from 'crypto';
+import { getJSON, setJSON, withLock } from './redis.js';
+
+const DEVICES_KEY = 'kiosk_devices';
+const LOCK_KEY = 'kiosk_devices_lock';
+
+export class KioskError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'KioskError';
+    this.status = status;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+function publicDevice(device) {
+  return {
+    id: device.id,
+    name: device.name,
+    createdAt: device.createdAt,
+    lastSeenAt: device.lastSeenAt || null
+  };
+}
+
+async function loadDevices() {
+  return (await getJSON(DEVICES_KEY)) || {};
+}
+
+export async function listDevices() {
+  const devices = await loadDevices();
+  return Object.values(devices).map(publicDevice).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * A device by id (without the token hash), or null
+ */
+export async function getDevice(id) {
+  const device = (await loadDevices())[id];
+  return device ? publicDevice(device) : null;
+}
+
+/**
+ * Add a device. Returns { device, token }; the token cannot be shown again.
+ */
+export async function addDevice(name) {
+  const deviceName = String(name || '').trim();
+  if (deviceName.length < 2 || deviceName.length > 40) {
+    throw new KioskError('name must be 2-40 characters');
+  }
+
+  const id = crypto.randomBytes(9).toString('base64url');
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  return withLock(LOCK_KEY, async () => {
+    const devices = await loadDevices();
+    devices[id] = {
+      id,
+      name: deviceName,
+      tokenHash: hashToken(token).toString('base64'),
+      createdAt: new Date().toISOString(),
+      lastSeenAt: null
+    };
+    await setJSON(DEVICES_KEY, devices);
+    return { device: publicDevice(devices[id]), token };
+  });
+}
+
+export async function removeDevice(id) {
+  return withLock(LOCK_KEY, async () => {
+    const devices = await loadDevices();
+    const device = devices[id];
+    if (!device) {
+      throw new KioskError(`Kiosk device ${id} not found`, 404);
+    }
+
+    delete devices[id];
+    await setJSON(DEVICES_KEY, devices);
+    return publicDevice(device);
+  });
+}
+
+/**
+ * The device a token belongs to (recording when it was last used), or null
+ */
+export async function authenticateDevice(token) {
+  if (!token) return null;
+
+  const hash = hashToken(token);
+  return withLock(LOCK_KEY, async () => {
+    const devices = await loadDevices();
+    const device = Object.values(devices).find(candidate =>
+      crypto.timingSafeEqual(Buffer.from(candidate.tokenHash, 'base64'), hash)
+    );
+    if (!device) return null;
+
+    device.lastSeenAt = new Date().toISOString();
+    await setJSON(DEVICES_KEY, devices);
+    return publicDevice(device);
+  });
+}
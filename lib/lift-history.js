@@ -0,0 +1,226 @@
+/**
+ * Lift status change log and uptime statistics
+ *
+ * On every refresh the current Fnugg lift states are compared with the
+ * last known states. Each transition is stored as an event together with
+ * the top-station wind at that moment:
+ *   { liftId, name, from, to, ts, wind }
+ *
+ * Uptime is the share of the lift's operating hours it was open, per
+ * Norwegian local day. Operating hours come from Fnugg when it provides
+ * them, otherwise DEFAULT_OPERATING_HOURS is used.
+ *
+ * Updates hold a per-resort lock, so concurrent refreshes neither lose
+ * nor duplicate transitions.
+ */
+
+import { getJSON, setJSON, withLock } from './redis.js';
+import { osloDate, osloTime, recentOsloDates } from './oslo-time.js';
+
+const EVENT_RETENTION_DAYS = 30;
+const DAY = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_OPERATING_HOURS = { from: '09:00', to: '16:30' };
+
+function stateKey(resort) {
+  return `lift_state:${resort}`;
+}
+
+function eventsKey(resort) {
+  return `lift_events:${resort}`;
+}
+
+function lockKey(resort) {
+  return `lift_history_lock:${resort}`;
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Accepts { from: 'HH:MM', to: 'HH:MM' } or 'HH:MM-HH:MM'
+ */
+function parseOperatingHours(openingHours) {
+  if (openingHours && openingHours.from && openingHours.to) {
+    return { from: openingHours.from, to: openingHours.to };
+  }
+
+  const match = typeof openingHours === 'string' && openingHours.match(/(\d{1,2}[:.]\d{2})\s*[-–]\s*(\d{1,2}[:.]\d{2})/);
+  if (match) {
+    return { from: match[1].replace('.', ':'), to: match[2].replace('.', ':') };
+  }
+
+  return DEFAULT_OPERATING_HOURS;
+}
+
+function operatingWindow(date, hours) {
+  const [fromH, fromM] = hours.from.split(':').map(Number);
+  const [toH, toM] = hours.to.split(':').map(Number);
+  return {
+    start: osloTime(date, fromH, fromM),
+    end: osloTime(date, toH, toM)
+  };
+}
+
+/**
+ * Compare current lift states with the stored ones and log transitions.
+ * `lifts` is the normalized Fnugg list from api/cached-data.js.
+ */
+export async function recordLiftStates(resort, lifts, { wind = null } = {}, now = new Date()) {
+  if (!lifts || lifts.length === 0) return [];
+
+  try {
+    return await withLock(lockKey(resort), () => updateLiftStates(resort, lifts, wind, now));
+  } catch (error) {
+    console.error(`❌ Lift states (${resort}) not recorded:`, error.message);
+    return [];
+  }
+}
+
+async function updateLiftStates(resort, lifts, wind, now) {
+  const [state, events] = await Promise.all([
+    getJSON(stateKey(resort)),
+    getJSON(eventsKey(resort))
+  ]);
+
+  const currentState = state || {};
+  const eventList = events || [];
+  const ts = now.toISOString();
+  const newEvents = [];
+
+  for (const lift of lifts) {
+    const previous = currentState[lift.id];
+
+    if (!previous || previous.status !== lift.status) {
+      newEvents.push({
+        liftId: lift.id,
+        name: lift.name,
+        from: previous ? previous.status : null,
+        to: lift.status,
+        ts,
+        wind: toNumber(wind)
+      });
+    }
+
+    currentState[lift.id] = {
+      name: lift.name,
+      status: lift.status,
+      since: previous && previous.status === lift.status ? previous.since : ts,
+      operatingHours: parseOperatingHours(lift.openingHours)
+    };
+  }
+
+  if (newEvents.length > 0) {
+    eventList.push(...newEvents);
+    newEvents.forEach(e => console.log(`🚡 ${e.name}: ${e.from || 'new'} → ${e.to} (wind ${e.wind ?? '--'} m/s)`));
+  }
+
+  const cutoff = now.getTime() - EVENT_RETENTION_DAYS * DAY;
+  const trimmed = eventList.filter(e => new Date(e.ts).getTime() >= cutoff);
+
+  await Promise.all([
+    setJSON(stateKey(resort), currentState),
+    setJSON(eventsKey(resort), trimmed, (EVENT_RETENTION_DAYS + 1) * DAY / 1000)
+  ]);
+
+  return newEvents;
+}
+
+/**
+ * Turn a lift's events into { status, start, end } segments up to `now`.
+ * Time before the first event is unobserved and has no segment.
+ */
+function buildSegments(events, nowMs) {
+  return events.map((event, i) => ({
+    status: event.to,
+    start: new Date(event.ts).getTime(),
+    end: i + 1 < events.length ? new Date(events[i + 1].ts).getTime() : nowMs
+  }));
+}
+
+function clipSegments(segments, start, end) {
+  return segments
+    .map(segment => ({
+      status: segment.status,
+      start: Math.max(segment.start, start),
+      end: Math.min(segment.end, end)
+    }))
+    .filter(segment => segment.end > segment.start);
+}
+
+function minutes(ms) {
+  return Math.round(ms / 60000);
+}
+
+/**
+ * Per-lift daily uptime for the last `days` days, today's timeline and
+ * the most recent transitions.
+ */
+export async function getLiftHistory(resort, { days = 7 } = {}, now = new Date()) {
+  const [state, events] = await Promise.all([
+    getJSON(stateKey(resort)),
+    getJSON(eventsKey(resort))
+  ]);
+
+  const currentState = state || {};
+  const eventList = events || [];
+  const nowMs = now.getTime();
+  const dates = recentOsloDates(days, now);
+  const today = osloDate(now);
+
+  const lifts = Object.entries(currentState).map(([liftId, lift]) => {
+    const liftEvents = eventList.filter(e => e.liftId === liftId);
+    const segments = buildSegments(liftEvents, nowMs);
+    const hours = lift.operatingHours || DEFAULT_OPERATING_HOURS;
+
+    const uptime = dates.map(date => {
+      const window = operatingWindow(date, hours);
+      const observed = clipSegments(segments, window.start, Math.min(window.end, nowMs));
+      const observedMs = observed.reduce((sum, s) => sum + (s.end - s.start), 0);
+      const openMs = observed
+        .filter(s => s.status === 'open')
+        .reduce((sum, s) => sum + (s.end - s.start), 0);
+
+      return {
+        date,
+        uptimePercent: observedMs > 0 ? Math.round((openMs / observedMs) * 1000) / 10 : null,
+        openMinutes: minutes(openMs),
+        observedMinutes: minutes(observedMs)
+      };
+    });
+
+    const todayWindow = operatingWindow(today, hours);
+    const timeline = clipSegments(segments, todayWindow.start, Math.min(todayWindow.end, nowMs))
+      .map(s => ({
+        status: s.status,
+        from: new Date(s.start).toISOString(),
+        to: new Date(s.end).toISOString()
+      }));
+
+    return {
+      id: liftId,
+      name: lift.name,
+      status: lift.status,
+      since: lift.since,
+      operatingHours: hours,
+      uptime,
+      today: {
+        window: {
+          from: new Date(todayWindow.start).toISOString(),
+          to: new Date(todayWindow.end).toISOString()
+        },
+        timeline
+      }
+    };
+  });
+
+  const since = osloTime(dates[0]);
+  const recentEvents = eventList
+    .filter(e => e.from !== null && new Date(e.ts).getTime() >= since)
+    .slice(-100)
+    .reverse();
+
+  return { lifts, events: recentEvents };
+}
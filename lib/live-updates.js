@@ -0,0 +1,63 @@
+/**
+ * Live updates for /api/stream
+ *
+ * Every time a source is fetched (lib/data-sources.js), an event is appended
+ * to a short log in lib/redis.js, so any serverless instance can stream it
+ * and clients can resume from the last event id they saw:
+ *
+ *   live_events      Redis list of { id, source, resort, meta, timestamp } (oldest first)
+ *   live_events:seq  counter for event ids
+ *
+ * The id and the append are one atomic step, so ids in the log are
+ * consecutive and any gap means events were lost. Events only say which
+ * source changed; clients load its data with getSourceData
+ * (/api/cached-data?action=source). Failed fetches are published too, so
+ * clients update the source status and keep showing what they have.
+ */
+
+import { appendToList, getList } from './redis.js';
+
+const EVENTS_KEY = 'live_events';
+const SEQUENCE_KEY = 'live_events:seq';
+const MAX_EVENTS = 30;
+const EVENTS_TTL = 24 * 60 * 60; // seconds; ids restart after a quiet day
+
+/**
+ * Publish a source update. resort is null for sources shared by all
+ * resorts (Homey).
+ */
+export async function publishSourceUpdate(source, resort, { meta }) {
+  try {
+    return await appendToList(EVENTS_KEY, SEQUENCE_KEY, {
+      source,
+      resort,
+      meta,
+      timestamp: new Date().toISOString()
+    }, { maxLength: MAX_EVENTS, ttlSeconds: EVENTS_TTL });
+  } catch (error) {
+    console.error(`⚠️ Could not publish ${source} update:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Events after lastId, plus the newest id. missed is true when any event
+ * after lastId is no longer in the log (trimmed, or the log was reset),
+ * so the client has to reload everything.
+ */
+export async function getEventsSince(lastId) {
+  const events = await getList(EVENTS_KEY);
+  const latestId = events.length > 0 ? events[events.length - 1].id : 0;
+
+  if (lastId === null) {
+    return { events: [], latestId, missed: false };
+  }
+
+  const newer = events.filter(event => event.id > lastId);
+  const missed = lastId > latestId || newer.some((event, i) => event.id !== lastId + 1 + i);
+  return {
+    events: missed ? [] : newer,
+    latestId,
+    missed
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * Login rate limiting
+ *
+ * Failed logins are counted per client IP and per username (lib/redis.js,
+ * so counts are shared between function instances when Redis is up):
+ * - login_failures:<scope>:<id>  failure count, forgotten FAILURE_WINDOW after the last failure
+ * - login_lockout:<scope>:<id>   { scope, id, failures, lockedAt, until }
+ *
+ * The first FREE_ATTEMPTS[scope] failures are free; every failure after
+ * that locks the IP / username out for an escalating period
+ * (LOCKOUT_BASE, doubling up to LOCKOUT_MAX). A successful login clears
+ * the counters for its IP and username.
+ */
+
+import { getJSON, setJSON, deleteKey, incrementCounter, listKeys } from './redis.js';
+
+export const SCOPES = ['ip', 'user'];
+
+const FREE_ATTEMPTS = { ip: 10, user: 5 };
+const FAILURE_WINDOW = 24 * 60 * 60; // seconds
+const LOCKOUT_BASE = 30; // seconds
+const LOCKOUT_MAX = 60 * 60; // seconds
+
+const failuresKey = (scope, id) => `login_failures:${scope}:${id}`;
+const lockoutKey = (scope, id) => `login_lockout:${scope}:${id}`;
+
+/**
+ * The client IP as seen by Vercel's proxy
+ */
+export function clientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) return forwarded.split(',')[0].trim();
+  return req.headers['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
+
+function identities(ip, username) {
+  return { ip, user: String(username || '').trim().toLowerCase() };
+}
+
+/**
+ * Lockout duration in seconds after the given number of failures (0 = none)
+ */
+export function lockoutSeconds(scope, failures) {
+  const excess = failures - FREE_ATTEMPTS[scope];
+  if (excess <= 0) return 0;
+  return Math.min(LOCKOUT_BASE * Math.pow(2, excess - 1), LOCKOUT_MAX);
+}
+
+/**
+ * The active lockout for this IP or username, if any:
+ * { scope, id, retryAfter } with retryAfter in seconds
+ */
+export async function checkLockout(ip, username) {
+  const ids = identities(ip, username);
+  let longest = null;
+
+  for (const scope of SCOPES) {
+    if (!ids[scope]) continue;
+    const lockout = await getJSON(lockoutKey(scope, ids[scope]));
+    if (!lockout) continue;
+
+    const retryAfter = Math.ceil((new Date(lockout.until).getTime() - Date.now()) / 1000);
+    if (retryAfter > 0 && (!longest || retryAfter > longest.retryAfter)) {
+      longest = { scope, id: ids[scope], retryAfter };
+    }
+  }
+
+  return longest;
+}
+
+/**
+ * Count a failed login. Returns the resulting lockout (as checkLockout), or null.
+ */
+export async function recordFailure(ip, username) {
+  const ids = identities(ip, username);
+
+  for (const scope of SCOPES) {
+    if (!ids[scope]) continue;
+    const failures = await incrementCounter(failuresKey(scope, ids[scope]), FAILURE_WINDOW);
+    const seconds = lockoutSeconds(scope, failures);
+    if (seconds === 0) continue;
+
+    const now = Date.now();
+    await setJSON(lockoutKey(scope, ids[scope]), {
+      scope,
+      id: ids[scope],
+      failures,
+      lockedAt: new Date(now).toISOString(),
+      until: new Date(now + seconds * 1000).toISOString()
+    }, seconds);
+    console.warn(`🔒 Login locked for ${scope} ${ids[scope]} for ${seconds}s after ${failures} failures`);
+  }
+
+  return checkLockout(ip, username);
+}
+
+/**
+ * Forget the failures of a successful login
+ */
+export async function recordSuccess(ip, username) {
+  const ids = identities(ip, username);
+  await Promise.all(SCOPES.filter(scope => ids[scope]).map(scope => clearLockout(scope, ids[scope])));
+}
+
+/**
+ * All current lockouts, longest remaining first
+ */
+export async function listLockouts() {
+  const keys = await listKeys('login_lockout:');
+  const lockouts = await Promise.all(keys.map(key => getJSON(key)));
+  const now = Date.now();
+
+  return lockouts
+    .filter(lockout => lockout && new Date(lockout.until).getTime() > now)
+    .map(lockout => ({
+      ...lockout,
+      retryAfter: Math.ceil((new Date(lockout.until).getTime() - now) / 1000)
+    }))
+    .sort((a, b) => b.retryAfter - a.retryAfter);
+}
+
+/**
+ * Lift a lockout and reset its failure count
+ */
+export async function clearLockout(scope, id) {
+  await Promise.all([deleteKey(lockoutKey(scope, id)), deleteKey(failuresKey(scope, id))]);
+}
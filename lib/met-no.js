@@ -0,0 +1,79 @@
+/**
+ * Met.no locationforecast client
+ *
+ * Met.no's terms ask clients to identify themselves, to reuse a response
+ * until its Expires time and to send If-Modified-Since after that. Each
+ * forecast point (lat, lon, altitude) is therefore cached in lib/redis.js:
+ *
+ *   metno:<lat>:<lon>:<altitude>  { data, expires, lastModified }
+ *
+ * Coordinates are rounded to 4 decimals and altitudes to whole metres, as
+ * Met.no asks. Without an altitude Met.no uses its own terrain height.
+ *
+ * Used by /api/forecast and the yr source in lib/data-sources.js.
+ */
+
+import { getJSON, setJSON } from './redis.js';
+
+const API_URL = 'https://api.met.no/weatherapi/locationforecast/2.0/compact';
+const USER_AGENT = 'WKWeatherDashboard/1.0 (wksnowdashboard.wvsailing.co.uk)';
+const CACHE_TTL = 24 * 60 * 60; // seconds; kept past Expires for If-Modified-Since
+const DEFAULT_EXPIRES_MS = 30 * 60 * 1000;
+
+export class MetNoError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'MetNoError';
+    this.status = status;
+  }
+}
+
+function expiresAt(response) {
+  const expires = new Date(response.headers.get('Expires'));
+  return isNaN(expires) ? new Date(Date.now() + DEFAULT_EXPIRES_MS).toISOString() : expires.toISOString();
+}
+
+/**
+ * The forecast for a point: { data, expires, lastModified, coordinates }.
+ * data is the Met.no GeoJSON response. Throws MetNoError when Met.no
+ * answers with an error.
+ */
+export async function getLocationForecast({ lat, lon, altitude = null }) {
+  const coordinates = {
+    lat: Math.round(lat * 10000) / 10000,
+    lon: Math.round(lon * 10000) / 10000,
+    altitude: altitude === null || altitude === undefined ? null : Math.round(altitude)
+  };
+  const key = `metno:${coordinates.lat}:${coordinates.lon}:${coordinates.altitude ?? 'terrain'}`;
+
+  const cached = await getJSON(key);
+  if (cached && new Date(cached.expires) > new Date()) {
+    return { ...cached, coordinates };
+  }
+
+  const params = new URLSearchParams({ lat: coordinates.lat, lon: coordinates.lon });
+  if (coordinates.altitude !== null) params.set('altitude', coordinates.altitude);
+
+  const headers = { 'User-Agent': USER_AGENT, 'Accept': 'application/json' };
+  if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+  const response = await fetch(`${API_URL}?${params.toString()}`, { headers });
+
+  if (response.status === 304 && cached) {
+    const entry = { ...cached, expires: expiresAt(response) };
+    await setJSON(key, entry, CACHE_TTL);
+    return { ...entry, coordinates };
+  }
+
+  if (!response.ok) {
+    throw new MetNoError(`Met.no API returned ${response.status}: ${response.statusText}`, response.status);
+  }
+
+  const entry = {
+    data: await response.json(),
+    expires: expiresAt(response),
+    lastModified: response.headers.get('Last-Modified')
+  };
+  await setJSON(key, entry, CACHE_TTL);
+  return { ...entry, coordinates };
+}
@@ -0,0 +1,65 @@
+/**
+ * Europe/Oslo calendar helpers
+ *
+ * Serverless functions run in UTC, but days (history aggregates, lift
+ * uptime) are counted in Norwegian local time.
+ */
+
+const TIME_ZONE = 'Europe/Oslo';
+
+const dateFormat = new Intl.DateTimeFormat('en-CA', {
+  timeZone: TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+
+const wallClockFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIME_ZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  second: 'numeric'
+});
+
+/**
+ * Local date as 'YYYY-MM-DD'
+ */
+export function osloDate(date = new Date()) {
+  return dateFormat.format(date);
+}
+
+/**
+ * Offset of Oslo local time from UTC in ms at the given instant
+ */
+function osloOffset(date) {
+  const parts = Object.fromEntries(
+    wallClockFormat.formatToParts(date).map(part => [part.type, Number(part.value)])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * UTC timestamp (ms) of a local wall-clock time on a 'YYYY-MM-DD' date
+ */
+export function osloTime(dateString, hours = 0, minutes = 0) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hours, minutes);
+  return guess - osloOffset(new Date(guess));
+}
+
+/**
+ * The last `days` local dates ending today, oldest first
+ */
+export function recentOsloDates(days, now = new Date()) {
+  const dates = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const date = osloDate(new Date(now.getTime() - i * 24 * 60 * 60 * 1000));
+    if (!dates.includes(date)) dates.push(date);
+  }
+  return dates;
+}
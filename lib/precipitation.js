@@ -0,0 +1,99 @@
+/**
+ * Precipitation outlook from a Met.no locationforecast timeseries
+ *
+ * Hourly amounts (next_1_hours.precipitation_amount) for the 48 hours from
+ * now - hours that have passed are dropped, so an older forecast still
+ * only covers what is ahead - each classified as snow, sleet or rain from the forecast air temperature,
+ * with a running total and an estimated new-snow depth per station.
+ *
+ * New snow is estimated from each station's own (altitude-specific)
+ * forecast: roughly 1 cm per mm of water for snow (more when it is very
+ * cold) and half of that for sleet.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const OUTLOOK_HOURS = 48;
+
+// Air temperature limits (°C) between the precipitation types
+const SNOW_MAX = 0.5;
+const SLEET_MAX = 2.5;
+
+/**
+ * snow, sleet or rain for a temperature (null when nothing falls)
+ */
+export function classifyPrecipitation(temperature, amount = 1) {
+  if (!amount) return null;
+  if (temperature <= SNOW_MAX) return 'snow';
+  if (temperature <= SLEET_MAX) return 'sleet';
+  return 'rain';
+}
+
+// cm of new snow per mm of water
+function snowRatio(type, temperature) {
+  if (type === 'sleet') return 0.5;
+  if (type !== 'snow') return 0;
+  if (temperature <= -10) return 1.5;
+  if (temperature <= -4) return 1.2;
+  return 1;
+}
+
+// The next OUTLOOK_HOURS hourly entries, starting with the current hour
+function hourlyEntries(timeseries, now) {
+  const from = now.getTime() - HOUR;
+  return timeseries
+    .filter(item => item.data.next_1_hours && new Date(item.time).getTime() > from)
+    .slice(0, OUTLOOK_HOURS);
+}
+
+function hourlyWeather(item) {
+  return {
+    amount: item.data.next_1_hours.details?.precipitation_amount ?? 0,
+    temperature: item.data.instant.details.air_temperature
+  };
+}
+
+/**
+ * Estimated cm of new snow in the next 48 hours from a station's forecast
+ */
+export function estimateNewSnow(timeseries, now = new Date()) {
+  const cm = hourlyEntries(timeseries, now).reduce((total, item) => {
+    const { amount, temperature } = hourlyWeather(item);
+    return total + amount * snowRatio(classifyPrecipitation(temperature, amount), temperature);
+  }, 0);
+  return Math.round(cm);
+}
+
+/**
+ * { hours: [{ time, amount, temperature, type, accumulated }], total,
+ *   totals: { snow, sleet, rain }, newSnow: { top, bottom } }
+ * for the hourly bars of one forecast; stations are the timeseries of the
+ * top and bottom forecasts ({ top, bottom }) for the new-snow estimates.
+ */
+export function precipitationOutlook(timeseries, stations, now = new Date()) {
+  const totals = { snow: 0, sleet: 0, rain: 0 };
+  let accumulated = 0;
+
+  const hours = hourlyEntries(timeseries, now).map(item => {
+    const { amount, temperature } = hourlyWeather(item);
+    const type = classifyPrecipitation(temperature, amount);
+
+    accumulated += amount;
+    if (type) totals[type] += amount;
+
+    return {
+      time: item.time,
+      amount,
+      temperature,
+      type,
+      accumulated: Math.round(accumulated * 10) / 10
+    };
+  });
+
+  const round = value => Math.round(value * 10) / 10;
+  return {
+    hours,
+    total: round(accumulated),
+    totals: { snow: round(totals.snow), sleet: round(totals.sleet), rain: round(totals.rain) },
+    newSnow: { top: estimateNewSnow(stations.top, now), bottom: estimateNewSnow(stations.bottom, now) }
+  };
+}
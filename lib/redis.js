@@ -0,0 +1,281 @@
+/**
+ * Shared Redis Cloud storage helpers
+ *
+ * Uses the REDIS_URL environment variable (same database as api/hafjell.js).
+ * When Redis is not configured or unreachable, values are kept in an
+ * in-memory map instead, which only lives as long as the warm function.
+ */
+
+import { createClient } from 'redis';
+
+let redisClient = null;
+
+// Fallback store: key -> { value, expiresAt }
+const memoryStore = new Map();
+
+export async function getRedisClient() {
+  if (!process.env.REDIS_URL) {
+    return null;
+  }
+
+  if (!redisClient || !redisClient.isOpen) {
+    redisClient = createClient({
+      url: process.env.REDIS_URL,
+      socket: {
+        reconnectStrategy: (retries) => {
+          if (retries > 3) return new Error('Max retries reached');
+          return Math.min(retries * 100, 3000);
+        }
+      }
+    });
+
+    redisClient.on('error', (err) => console.error('Redis Client Error:', err));
+    await redisClient.connect();
+    console.log('✅ Connected to Redis Cloud');
+  }
+  return redisClient;
+}
+
+async function tryRedis() {
+  try {
+    return await getRedisClient();
+  } catch (error) {
+    console.error('⚠️ Redis unavailable, using in-memory store:', error.message);
+    return null;
+  }
+}
+
+function memoryGet(key) {
+  const entry = memoryStore.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt && entry.expiresAt < Date.now()) {
+    memoryStore.delete(key);
+    return null;
+  }
+  return entry.value;
+}
+
+function memorySet(key, value, ttlSeconds) {
+  memoryStore.set(key, {
+    value,
+    expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+  });
+}
+
+/**
+ * Read a JSON value, or null when the key does not exist
+ */
+export async function getJSON(key) {
+  const redis = await tryRedis();
+
+  if (redis) {
+    try {
+      const raw = await redis.get(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      console.error(`Error reading ${key} from Redis:`, error.message);
+    }
+  }
+
+  return memoryGet(key);
+}
+
+/**
+ * Store a JSON value, optionally expiring after ttlSeconds
+ */
+export async function setJSON(key, value, ttlSeconds = null) {
+  // Always keep the in-memory copy so a Redis outage mid-session
+  // still serves the latest value from this instance
+  memorySet(key, value, ttlSeconds);
+
+  const redis = await tryRedis();
+  if (!redis) return;
+
+  try {
+    const raw = JSON.stringify(value);
+    if (ttlSeconds) {
+      await redis.setEx(key, ttlSeconds, raw);
+    } else {
+      await redis.set(key, raw);
+    }
+  } catch (error) {
+    console.error(`Error writing ${key} to Redis:`, error.message);
+  }
+}
+
+export async function deleteKey(key) {
+  memoryStore.delete(key);
+
+  const redis = await tryRedis();
+  if (!redis) return;
+
+  try {
+    await redis.del(key);
+  } catch (error) {
+    console.error(`Error deleting ${key} from Redis:`, error.message);
+  }
+}
+
+/**
+ * Atomically increment a counter and (re)start its expiry.
+ * Returns the new count.
+ */
+export async function incrementCounter(key, ttlSeconds) {
+  const redis = await tryRedis();
+
+  if (redis) {
+    try {
+      const [count] = await redis.multi().incr(key).expire(key, ttlSeconds).exec();
+      return Number(count);
+    } catch (error) {
+      console.error(`Error incrementing ${key} in Redis:`, error.message);
+    }
+  }
+
+  const count = (Number(memoryGet(key)) || 0) + 1;
+  memorySet(key, count, ttlSeconds);
+  return count;
+}
+
+/**
+ * Read a counter written by incrementCounter (0 when missing)
+ */
+export async function getCounter(key) {
+  const redis = await tryRedis();
+
+  if (redis) {
+    try {
+      return Number(await redis.get(key)) || 0;
+    } catch (error) {
+      console.error(`Error reading ${key} from Redis:`, error.message);
+    }
+  }
+
+  return Number(memoryGet(key)) || 0;
+}
+
+/**
+ * All keys starting with prefix
+ */
+export async function listKeys(prefix) {
+  const redis = await tryRedis();
+
+  if (redis) {
+    try {
+      const keys = [];
+      for await (const key of redis.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+        keys.push(key);
+      }
+      return keys;
+    } catch (error) {
+      console.error(`Error listing ${prefix}* in Redis:`, error.message);
+    }
+  }
+
+  return [...memoryStore.keys()].filter(key => key.startsWith(prefix) && memoryGet(key) !== null);
+}
+
+// Next id from the counter, push the entry with it and trim, in one step
+const APPEND_SCRIPT = `
+local id = redis.call('INCR', KEYS[2])
+redis.call('RPUSH', KEYS[1], '{"id":' .. id .. ',' .. string.sub(ARGV[1], 2))
+redis.call('LTRIM', KEYS[1], -tonumber(ARGV[2]), -1)
+redis.call('EXPIRE', KEYS[1], ARGV[3])
+redis.call('EXPIRE', KEYS[2], ARGV[3])
+return id
+`;
+
+/**
+ * Atomically append { id, ...value } to a capped list, where id comes from
+ * the counter at sequenceKey. value must be a non-empty object. Keeps the
+ * newest maxLength entries; both keys expire after ttlSeconds without
+ * appends. Returns the new id.
+ */
+export async function appendToList(key, sequenceKey, value, { maxLength, ttlSeconds }) {
+  const redis = await tryRedis();
+
+  if (redis) {
+    try {
+      const id = await redis.eval(APPEND_SCRIPT, {
+        keys: [key, sequenceKey],
+        arguments: [JSON.stringify(value), String(maxLength), String(ttlSeconds)]
+      });
+      return Number(id);
+    } catch (error) {
+      console.error(`Error appending to ${key} in Redis:`, error.message);
+    }
+  }
+
+  const id = (Number(memoryGet(sequenceKey)) || 0) + 1;
+  memorySet(sequenceKey, id, ttlSeconds);
+  memorySet(key, [...(memoryGet(key) || []), { id, ...value }].slice(-maxLength), ttlSeconds);
+  return id;
+}
+
+/**
+ * All entries of a list written by appendToList, oldest first
+ */
+export async function getList(key) {
+  const redis = await tryRedis();
+
+  if (redis) {
+    try {
+      return (await redis.lRange(key, 0, -1)).map(raw => JSON.parse(raw));
+    } catch (error) {
+      console.error(`Error reading ${key} from Redis:`, error.message);
+    }
+  }
+
+  return memoryGet(key) || [];
+}
+
+// Delete the lock only if it still holds our token
+const UNLOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// Fallback locks: key -> promise of the last holder
+const memoryLocks = new Map();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run fn while holding the lock `key`, so read-modify-write updates from
+ * concurrent refreshes on any instance happen one at a time. The lock
+ * expires after ttlSeconds in case its holder dies; waiting longer than
+ * waitMs for it throws.
+ */
+export async function withLock(key, fn, { ttlSeconds = 30, waitMs = 10000 } = {}) {
+  const redis = await tryRedis();
+
+  if (redis) {
+    const token = `${process.pid}:${Date.now()}:${Math.random()}`;
+    const deadline = Date.now() + waitMs;
+
+    while (await redis.set(key, token, { NX: true, EX: ttlSeconds }) === null) {
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for lock ${key}`);
+      }
+      await sleep(100);
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await redis.eval(UNLOCK_SCRIPT, { keys: [key], arguments: [token] })
+        .catch(error => console.error(`Error releasing ${key} in Redis:`, error.message));
+    }
+  }
+
+  const previous = memoryLocks.get(key) || Promise.resolve();
+  const current = previous.catch(() => {}).then(fn);
+  memoryLocks.set(key, current);
+  try {
+    return await current;
+  } finally {
+    if (memoryLocks.get(key) === current) memoryLocks.delete(key);
+  }
+}
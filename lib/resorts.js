@@ -0,0 +1,149 @@
+/**
+ * Resort registry
+ *
+ * One entry per resort the team trains at. Each entry holds:
+ * - fnuggId / fnuggName: how the resort is found in the Fnugg search API.
+ *   Fnugg IDs are only pinned where verified; otherwise the resort is
+ *   matched by name.
+ * - forecast: the yr.no (Met.no) forecast point
+ * - elevations: top and bottom station heights in meters
+ * - webcam: live snapshot shown on the stations card (null if none)
+ * - liftOrder: lift names shown first on the lifts card, in this order.
+ *   Lifts themselves are discovered from Fnugg, so this is optional.
+ */
+
+export const DEFAULT_RESORT = 'hafjell';
+
+export const RESORTS = {
+  hafjell: {
+    name: 'Hafjell',
+    fnuggId: 12,
+    fnuggName: 'Hafjell',
+    forecast: {
+      // Mosetertoppen Skistadion - the cross-country ski stadium, NOT the gondola top station
+      name: 'Mosetertoppen',
+      lat: 61.2430,
+      lon: 10.4900,
+      altitude: 813
+    },
+    elevations: { top: 1059, bottom: 195 },
+    webcam: {
+      title: 'Vidsynexpressen Live',
+      url: 'https://aws-cdn.norwaylive.tv/snapshots/ffbb7144-562d-4753-919f-52ebd0b72cbe/kam4utsnitt1.jpg'
+    },
+    liftOrder: [
+      'Backyardheisen',
+      'Hafjell 360',
+      'Gondolen',
+      'Vidsynexpressen',
+      'Hafjellheis 1',
+      'Hafjellheis 2',
+      'Kjusheisen'
+    ]
+  },
+
+  kvitfjell: {
+    name: 'Kvitfjell',
+    fnuggId: null,
+    fnuggName: 'Kvitfjell',
+    forecast: {
+      name: 'Kvitfjell',
+      lat: 61.4636,
+      lon: 10.1262,
+      altitude: 1000
+    },
+    elevations: { top: 1044, bottom: 190 },
+    webcam: null,
+    liftOrder: []
+  },
+
+  sjusjoen: {
+    name: 'Sjusjøen',
+    fnuggId: null,
+    fnuggName: 'Sjusjøen',
+    forecast: {
+      name: 'Sjusjøen Skisenter',
+      lat: 61.0167,
+      lon: 10.6833,
+      altitude: 850
+    },
+    elevations: { top: 1030, bottom: 830 },
+    webcam: null,
+    liftOrder: []
+  },
+
+  beitostolen: {
+    name: 'Beitostølen',
+    fnuggId: null,
+    fnuggName: 'Beitostølen',
+    forecast: {
+      name: 'Beitostølen Skistadion',
+      lat: 61.2468,
+      lon: 8.9097,
+      altitude: 880
+    },
+    elevations: { top: 1040, bottom: 860 },
+    webcam: null,
+    liftOrder: []
+  }
+};
+
+/**
+ * Get a resort by slug, or null if it is not in the registry.
+ * overrides are the admin's per-resort settings (lib/settings.js `resorts`):
+ * { fnuggId, lat, lon, altitude, webcamUrl }, all optional.
+ */
+export function getResort(slug, overrides = {}) {
+  // Own properties only, so ?resort=constructor is not a resort
+  if (!Object.hasOwn(RESORTS, slug)) return null;
+  const resort = RESORTS[slug];
+
+  const override = (overrides && Object.hasOwn(overrides, slug) && overrides[slug]) || {};
+  const has = field => override[field] !== undefined;
+
+  let webcam = resort.webcam;
+  if (has('webcamUrl')) {
+    webcam = override.webcamUrl
+      ? { title: resort.webcam?.title || `${resort.name} Webcam`, url: override.webcamUrl }
+      : null;
+  }
+
+  return {
+    slug,
+    ...resort,
+    fnuggId: has('fnuggId') ? override.fnuggId : resort.fnuggId,
+    forecast: {
+      ...resort.forecast,
+      ...(has('lat') && { lat: override.lat }),
+      ...(has('lon') && { lon: override.lon }),
+      ...(has('altitude') && { altitude: override.altitude })
+    },
+    webcam
+  };
+}
+
+/**
+ * Short list for the dashboard's resort switcher
+ */
+export function listResorts() {
+  return Object.entries(RESORTS).map(([slug, resort]) => ({
+    slug,
+    name: resort.name
+  }));
+}
+
+/**
+ * Find the given resort among Fnugg search hits. The configured fnuggId
+ * wins; the name is only matched when there is no id or no hit has it.
+ */
+export function findFnuggHit(resort, hits) {
+  const withSource = hits.filter(hit => hit?._source);
+
+  if (resort.fnuggId !== null) {
+    const byId = withSource.find(hit => String(hit._source.id) === String(resort.fnuggId));
+    if (byId) return byId;
+  }
+
+  const name = resort.fnuggName.toLowerCase();
+  return withSource.find(hit => (hit._source.name || '').toLowerCase().includes(name)) || null;
+}
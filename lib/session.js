@@ -0,0 +1,214 @@
+/**
+ * Dashboard sessions
+ *
+ * A successful login sets the HttpOnly cookie wk_session:
+ *
+ *   <sessionId>.<expiresAt>.<username>.<signature>
+ *
+ * signed with HMAC-SHA256 over SESSION_SECRET. Logging out revokes the
+ * session id in lib/redis.js (session_revoked:<id>, kept until the cookie
+ * would have expired anyway). The user's role is looked up in lib/users.js
+ * on every request, so removing a user or changing their role takes effect
+ * immediately.
+ *
+ * Kiosk devices (lib/kiosk-devices.js) get longer sessions for the subject
+ * kiosk:<deviceId> with the viewer role.
+ *
+ * Environment variables:
+ * - SESSION_SECRET (required, long random string)
+ * - SESSION_TTL_HOURS (optional, default 12)
+ * - KIOSK_SESSION_TTL_DAYS (optional, default 30)
+ */
+
+import crypto from 'crypto';
+import { getJSON, setJSON } from './redis.js';
+import { getUser } from './users.js';
+import { getDevice } from './kiosk-devices.js';
+
+export const SESSION_COOKIE = 'wk_session';
+
+const DEFAULT_TTL_HOURS = 12;
+const DEFAULT_KIOSK_TTL_DAYS = 30;
+const KIOSK_PREFIX = 'kiosk:';
+
+function sessionSecret() {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('SESSION_SECRET is not configured');
+  }
+  return secret;
+}
+
+function sessionTtlSeconds() {
+  const hours = parseFloat(process.env.SESSION_TTL_HOURS);
+  return Math.round((isNaN(hours) || hours <= 0 ? DEFAULT_TTL_HOURS : hours) * 3600);
+}
+
+function kioskTtlSeconds() {
+  const days = parseFloat(process.env.KIOSK_SESSION_TTL_DAYS);
+  return Math.round((isNaN(days) || days <= 0 ? DEFAULT_KIOSK_TTL_DAYS : days) * 24 * 3600);
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', sessionSecret()).update(payload).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function parseCookies(req) {
+  if (req.cookies) return req.cookies;
+
+  return Object.fromEntries(
+    (req.headers.cookie || '')
+      .split(';')
+      .map(part => part.trim().split('='))
+      .filter(([name, ...value]) => name && value.length > 0)
+      .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))])
+  );
+}
+
+function serializeCookie(value, maxAge) {
+  return [
+    `${SESSION_COOKIE}=${value}`,
+    'Path=/',
+    `Max-Age=${maxAge}`,
+    'HttpOnly',
+    'Secure',
+    'SameSite=Strict'
+  ].join('; ');
+}
+
+function startSession(res, subject, ttl) {
+  const id = crypto.randomBytes(18).toString('base64url');
+  const expiresAt = Date.now() + ttl * 1000;
+  const payload = `${id}.${expiresAt}.${Buffer.from(subject).toString('base64url')}`;
+
+  res.setHeader('Set-Cookie', serializeCookie(`${payload}.${sign(payload)}`, ttl));
+  return { id, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Start a session for a logged-in user and set the cookie on the response
+ */
+export async function createSession(res, username) {
+  const { id, expiresAt } = startSession(res, username, sessionTtlSeconds());
+  return { id, username, expiresAt };
+}
+
+/**
+ * Start a session for a kiosk device (from authenticateDevice)
+ */
+export async function createKioskSession(res, device) {
+  const { id, expiresAt } = startSession(res, `${KIOSK_PREFIX}${device.id}`, kioskTtlSeconds());
+  return { id, username: device.name, kiosk: true, expiresAt };
+}
+
+/**
+ * The session behind the request's cookie ({ id, username, role, kiosk, expiresAt }),
+ * or null if it is missing, tampered with, expired, revoked or its user
+ * (or kiosk device) is gone
+ */
+export async function getSession(req) {
+  const cookie = parseCookies(req)[SESSION_COOKIE];
+  if (!cookie) return null;
+
+  const parts = cookie.split('.');
+  if (parts.length !== 4) return null;
+
+  const [id, expiresAt, encodedUser, signature] = parts;
+  if (!safeEqual(signature, sign(`${id}.${expiresAt}.${encodedUser}`))) return null;
+  if (Number(expiresAt) <= Date.now()) return null;
+  if (await getJSON(`session_revoked:${id}`)) return null;
+
+  const subject = Buffer.from(encodedUser, 'base64url').toString();
+  if (subject.startsWith(KIOSK_PREFIX)) {
+    const device = await getDevice(subject.slice(KIOSK_PREFIX.length));
+    if (!device) return null;
+
+    return {
+      id,
+      username: device.name,
+      role: 'viewer',
+      kiosk: true,
+      expiresAt: new Date(Number(expiresAt)).toISOString()
+    };
+  }
+
+  const user = await getUser(subject);
+  if (!user) return null;
+
+  return {
+    id,
+    username: user.username,
+    role: user.role,
+    kiosk: false,
+    expiresAt: new Date(Number(expiresAt)).toISOString()
+  };
+}
+
+/**
+ * Revoke the request's session (if any) and clear the cookie
+ */
+export async function revokeSession(req, res) {
+  const session = await getSession(req);
+  if (session) {
+    const remaining = Math.ceil((new Date(session.expiresAt).getTime() - Date.now()) / 1000);
+    await setJSON(`session_revoked:${session.id}`, { revokedAt: new Date().toISOString() }, Math.max(remaining, 1));
+    console.log(`🔒 Session revoked for user: ${session.username}`);
+  }
+
+  res.setHeader('Set-Cookie', serializeCookie('', 0));
+  return session;
+}
+
+/**
+ * Guard for data endpoints: returns the session, or sends 401 and returns null
+ */
+export async function requireSession(req, res) {
+  const session = await getSession(req);
+  if (!session) {
+    res.status(401).json({
+      error: 'Not authenticated',
+      message: 'Log in to the dashboard to access this endpoint',
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Guard for admin-only endpoints: returns the session, or sends 401/403 and returns null
+ */
+export async function requireAdmin(req, res) {
+  const session = await requireSession(req, res);
+  if (!session) return null;
+
+  if (session.role !== 'admin') {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'This action requires an admin account',
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Whether the request's Authorization header is `Bearer <secret>`, for
+ * scheduled jobs that run without a session (CRON_SECRET, CACHE_AUTH_TOKEN).
+ * Both sides are hashed first so timingSafeEqual gets equal lengths.
+ * False when the secret is not configured.
+ */
+export function hasBearerToken(req, secret) {
+  const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+  if (!secret || !match) return false;
+
+  const hash = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(match[1]), hash(secret));
+}
@@ -0,0 +1,296 @@
+/**
+ * Runtime settings
+ *
+ * Configuration that used to be constants across api/*.js and index.html,
+ * stored in lib/redis.js under `settings` so it can be changed from the
+ * dashboard without a redeploy:
+ *
+ *   { values: { …SETTINGS_SCHEMA }, updatedAt, updatedBy }
+ *
+ * Every value has a default (some taken from the environment), and stored
+ * values are validated against SETTINGS_SCHEMA on read and on write.
+ */
+
+import { getJSON, setJSON } from './redis.js';
+import { RESORTS, DEFAULT_RESORT } from './resorts.js';
+
+const SETTINGS_KEY = 'settings';
+
+// Full-screen views the kiosk mode rotates through (index.html)
+export const KIOSK_VIEWS = ['conditions', 'lifts', 'forecast', 'chart', 'webcam'];
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export class SettingsError extends Error {
+  constructor(errors) {
+    super(`Invalid settings: ${errors.join('; ')}`);
+    this.name = 'SettingsError';
+    this.errors = errors;
+  }
+}
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+// ========== SCHEMA ==========
+
+const number = (min, max, defaultValue, { integer = false, nullable = false } = {}) =>
+  ({ type: 'number', min, max, integer, nullable, default: defaultValue });
+
+const SENSOR_FIELDS = {
+  key: { type: 'string', pattern: /^[\w-]{1,40}$/, optional: true },
+  label: { type: 'string', max: 40, optional: true },
+  deviceId: { type: 'string', max: 100 },
+  capability: { type: 'string', pattern: /^[\w.]{1,60}$/ },
+  unit: { type: 'string', max: 10, optional: true },
+  decimals: { ...number(0, 3, undefined, { integer: true }), optional: true }
+};
+
+const RESORT_OVERRIDE_FIELDS = {
+  fnuggId: { ...number(1, 100000, undefined, { integer: true, nullable: true }), optional: true },
+  lat: { ...number(-90, 90), optional: true },
+  lon: { ...number(-180, 180), optional: true },
+  altitude: { ...number(0, 9000, undefined, { integer: true }), optional: true },
+  webcamUrl: { type: 'string', pattern: /^https:\/\/\S+$/, nullable: true, optional: true }
+};
+
+/**
+ * Settings schema. Defaults are functions so environment values are read
+ * at request time.
+ */
+export const SETTINGS_SCHEMA = {
+  defaultResort: { type: 'enum', values: Object.keys(RESORTS), default: () => DEFAULT_RESORT },
+  dashboard: {
+    type: 'object',
+    fields: {
+      refreshMinutes: number(1, 60, () => 5, { integer: true }),
+      webcamRefreshMinutes: number(1, 60, () => 5, { integer: true })
+    }
+  },
+  cache: {
+    type: 'object',
+    fields: {
+      hafjellMinutes: number(1, 240, () => 15, { integer: true }),
+      forecastMaxAgeMinutes: number(0, 60, () => 5, { integer: true }),
+      lastGoodDays: number(1, 30, () => 7, { integer: true })
+    }
+  },
+  homey: {
+    type: 'object',
+    fields: {
+      sensors: { type: 'list', max: 20, item: SENSOR_FIELDS, default: () => [] },
+      staleMinutes: number(5, 1440, () => envNumber('HOMEY_STALE_MINUTES', 60), { integer: true }),
+      batteryLowPercent: number(1, 100, () => envNumber('HOMEY_BATTERY_LOW_PERCENT', 20), { integer: true })
+    }
+  },
+  kiosk: {
+    type: 'object',
+    fields: {
+      views: { type: 'enumList', values: KIOSK_VIEWS, default: () => [...KIOSK_VIEWS] },
+      rotateSeconds: number(5, 600, () => 20, { integer: true }),
+      // Dimmed between dimStart and dimEnd (display's local time, may wrap midnight)
+      dimStart: { type: 'string', pattern: TIME_OF_DAY, default: () => '22:00' },
+      dimEnd: { type: 'string', pattern: TIME_OF_DAY, default: () => '06:00' },
+      dimBrightness: number(5, 100, () => 30, { integer: true })
+    }
+  },
+  resorts: { type: 'map', keys: Object.keys(RESORTS), item: RESORT_OVERRIDE_FIELDS, default: () => ({}) }
+};
+
+// ========== VALIDATION ==========
+
+function validateFields(fields, input, path, errors) {
+  const result = {};
+
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    errors.push(`${path || 'settings'} must be an object`);
+    return result;
+  }
+
+  for (const name of Object.keys(input)) {
+    if (!fields[name]) errors.push(`${path ? `${path}.` : ''}${name} is not a known setting`);
+  }
+
+  for (const [name, rule] of Object.entries(fields)) {
+    const fieldPath = path ? `${path}.${name}` : name;
+    if (input[name] === undefined) {
+      if (rule.optional) continue;
+      if (rule.default === undefined && rule.type !== 'object') {
+        errors.push(`${fieldPath} is required`);
+        continue;
+      }
+    }
+    result[name] = validateValue(rule, input[name], fieldPath, errors);
+  }
+
+  return result;
+}
+
+function validateValue(rule, value, path, errors) {
+  if (value === undefined) {
+    return rule.type === 'object' ? validateFields(rule.fields, {}, path, errors) : rule.default();
+  }
+  if (value === null && rule.nullable) return null;
+
+  switch (rule.type) {
+    case 'number':
+      if (typeof value !== 'number' || !isFinite(value)) {
+        errors.push(`${path} must be a number`);
+      } else if (rule.integer && !Number.isInteger(value)) {
+        errors.push(`${path} must be a whole number`);
+      } else if (value < rule.min || value > rule.max) {
+        errors.push(`${path} must be between ${rule.min} and ${rule.max}`);
+      }
+      return value;
+
+    case 'string':
+      if (typeof value !== 'string' || value.trim() === '') {
+        errors.push(`${path} must be a non-empty string`);
+      } else if (rule.max && value.length > rule.max) {
+        errors.push(`${path} must be at most ${rule.max} characters`);
+      } else if (rule.pattern && !rule.pattern.test(value)) {
+        errors.push(`${path} has an invalid format`);
+      }
+      return value;
+
+    case 'enum':
+      if (!rule.values.includes(value)) {
+        errors.push(`${path} must be one of: ${rule.values.join(', ')}`);
+      }
+      return value;
+
+    case 'enumList':
+      if (!Array.isArray(value) || value.length === 0) {
+        errors.push(`${path} must be a non-empty list`);
+        return value;
+      }
+      if (value.some(item => !rule.values.includes(item))) {
+        errors.push(`${path} entries must be one of: ${rule.values.join(', ')}`);
+      }
+      return [...new Set(value)];
+
+    case 'object':
+      return validateFields(rule.fields, value, path, errors);
+
+    case 'list':
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be a list`);
+        return [];
+      }
+      if (value.length > rule.max) {
+        errors.push(`${path} can have at most ${rule.max} entries`);
+      }
+      return value.map((item, i) => validateFields(rule.item, item, `${path}[${i}]`, errors));
+
+    case 'map':
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path} must be an object`);
+        return {};
+      }
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+        if (!rule.keys.includes(key)) errors.push(`${path}.${key} is not a known resort`);
+        return [key, validateFields(rule.item, item, `${path}.${key}`, errors)];
+      }));
+
+    default:
+      errors.push(`${path} has an unknown type`);
+      return value;
+  }
+}
+
+/**
+ * Validate settings against SETTINGS_SCHEMA, filling in defaults.
+ * Returns { settings, errors }.
+ */
+export function validateSettings(input) {
+  const errors = [];
+  const settings = validateFields(SETTINGS_SCHEMA, input || {}, '', errors);
+  return { settings, errors };
+}
+
+export function defaultSettings() {
+  return validateSettings({}).settings;
+}
+
+// ========== STORE ==========
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Sections are merged field by field; each field (a value, a sensor list,
+// one resort's overrides) is replaced as a whole, so it can be cleared
+function mergeSettings(base, changes) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(changes || {})) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? { ...base[key], ...value }
+      : value;
+  }
+  return merged;
+}
+
+async function readStored() {
+  return (await getJSON(SETTINGS_KEY)) || { values: {}, updatedAt: null, updatedBy: null };
+}
+
+/**
+ * Current settings with defaults filled in. Stored values that no longer
+ * validate (e.g. after a schema change) fall back to their defaults.
+ */
+export async function getSettings() {
+  const stored = await readStored();
+  const { settings, errors } = validateSettings(stored.values);
+  if (errors.length === 0) return settings;
+
+  console.warn(`⚠️ Ignoring invalid stored settings: ${errors.join('; ')}`);
+  const defaults = defaultSettings();
+  const valid = {};
+  for (const key of Object.keys(SETTINGS_SCHEMA)) {
+    const single = validateSettings({ [key]: stored.values[key] });
+    valid[key] = single.errors.length === 0 ? single.settings[key] : defaults[key];
+  }
+  return valid;
+}
+
+/**
+ * Settings plus who changed them last, for the admin panel
+ */
+export async function getSettingsWithMeta() {
+  const stored = await readStored();
+  return {
+    settings: await getSettings(),
+    defaults: defaultSettings(),
+    updatedAt: stored.updatedAt,
+    updatedBy: stored.updatedBy
+  };
+}
+
+/**
+ * Apply a (partial) change. Throws SettingsError if the result is invalid.
+ */
+export async function updateSettings(changes, username) {
+  const current = await getSettings();
+  const { settings, errors } = validateSettings(mergeSettings(current, changes));
+  if (errors.length > 0) {
+    throw new SettingsError(errors);
+  }
+
+  const updatedAt = new Date().toISOString();
+  await setJSON(SETTINGS_KEY, { values: settings, updatedAt, updatedBy: username });
+  console.log(`⚙️ Settings updated by ${username}`);
+  return { settings, updatedAt, updatedBy: username };
+}
+
+/**
+ * The subset of settings the dashboard needs without admin rights
+ */
+export function publicSettings(settings) {
+  return {
+    defaultResort: settings.defaultResort,
+    dashboard: settings.dashboard,
+    kiosk: settings.kiosk
+  };
+}
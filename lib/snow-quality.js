@@ -0,0 +1,213 @@
+/**
+ * Snow surface estimate for the top and bottom stations
+ *
+ * A rules-based classifier: the features of a station are checked against
+ * RULES in order and the first matching rule decides the surface. Each rule
+ * explains itself, so the dashboard can show why.
+ *
+ * Features:
+ *   temperature         current air temperature (°C, Fnugg)
+ *   maxTemperature24h   highest temperature in the last 24 hours (history)
+ *   hoursSinceThaw      hours since the temperature was last above 0 °C
+ *   refreezes72h        thaws followed by a refreeze in the last 72 hours
+ *   newSnow24h          cm of new snow today (Fnugg)
+ *   newSnowWeek         cm of new snow this week (Fnugg)
+ *   snowingNow          snow forecast for the current hour (Met.no)
+ *   wind                m/s (Fnugg)
+ *   sunny               clear or fair daytime sky for the current hour (Met.no)
+ *
+ * History comes from the hourly series in lib/temperature-history.js.
+ * Missing history counts as no thaw.
+ */
+
+import { getTemperatureHistory } from './temperature-history.js';
+import { classifyPrecipitation } from './precipitation.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// A thaw only counts as refrozen once it is this cold again
+const REFREEZE_BELOW = -1;
+
+// mm in the current hour that counts as snowing
+const SNOWING_MM = 0.2;
+
+// m/s from which loose snow is wind-packed into a crust
+const STRONG_WIND = 10;
+
+export const SURFACES = {
+  powder: 'Fresh powder',
+  packed: 'Packed powder',
+  wet: 'Wet/spring',
+  crust: 'Crust',
+  icy: 'Icy'
+};
+
+function formatTemperature(value) {
+  return `${value > 0 ? '+' : ''}${Math.round(value * 10) / 10} °C`;
+}
+
+/**
+ * The rule table, checked in order. when(features) decides, explain(features)
+ * says why in one sentence.
+ */
+export const RULES = [
+  {
+    id: 'melting',
+    surface: 'wet',
+    when: f => f.temperature > 0.5,
+    explain: f => `It is ${formatTemperature(f.temperature)}: the surface is melting`
+  },
+  {
+    id: 'sun-softened',
+    surface: 'wet',
+    when: f => f.sunny && f.temperature > -2 && f.maxTemperature24h > 0,
+    explain: f => `Sun at ${formatTemperature(f.temperature)} after a thaw to ${formatTemperature(f.maxTemperature24h)}: softening spring snow`
+  },
+  {
+    id: 'fresh-snowfall',
+    surface: 'powder',
+    when: f => (f.newSnow24h >= 5 || f.snowingNow) && f.temperature <= 0 && f.wind < STRONG_WIND,
+    explain: f => f.snowingNow
+      ? `Snowing now at ${formatTemperature(f.temperature)} with ${f.newSnow24h} cm today`
+      : `${f.newSnow24h} cm of new snow today, cold and calm`
+  },
+  {
+    id: 'wind-crust',
+    surface: 'crust',
+    when: f => f.newSnowWeek > 0 && f.wind >= STRONG_WIND,
+    explain: f => `${f.wind} m/s wind is packing this week's ${f.newSnowWeek} cm into a wind crust`
+  },
+  {
+    id: 'refrozen-hard',
+    surface: 'icy',
+    when: f => f.refreezes72h > 0 && f.newSnow24h < 2 && f.temperature <= -3,
+    explain: f => `Thawed ${Math.round(f.hoursSinceThaw)} h ago and refrozen hard at ${formatTemperature(f.temperature)} with no new snow on top`
+  },
+  {
+    id: 'melt-freeze-crust',
+    surface: 'crust',
+    when: f => f.refreezes72h > 0 && f.newSnow24h < 5,
+    explain: f => `Thawed ${Math.round(f.hoursSinceThaw)} h ago and refrozen: a melt-freeze crust`
+  },
+  {
+    id: 'light-snowfall',
+    surface: 'powder',
+    when: f => f.newSnow24h >= 2 && f.temperature <= -2 && f.wind < STRONG_WIND,
+    explain: f => `${f.newSnow24h} cm of new snow today at ${formatTemperature(f.temperature)}`
+  },
+  {
+    id: 'cold-settled',
+    surface: 'packed',
+    when: () => true,
+    explain: f => f.hoursSinceThaw === null
+      ? `No thaw on record and ${f.newSnow24h} cm new snow today: groomed, settled snow`
+      : `No refreeze in 72 h and ${f.newSnow24h} cm new snow today: groomed, settled snow`
+  }
+];
+
+/**
+ * { surface, label, rule, reason } for a station's features
+ */
+export function classifySurface(features) {
+  const rule = RULES.find(candidate => candidate.when(features));
+  return {
+    surface: rule.surface,
+    label: SURFACES[rule.surface],
+    rule: rule.id,
+    reason: rule.explain(features)
+  };
+}
+
+/**
+ * Thaw features from hourly history points ({ ts, min, max }) of one
+ * series ('t' top, 'b' bottom): { maxTemperature24h, hoursSinceThaw, refreezes72h }
+ */
+export function historyFeatures(points, key, now = new Date()) {
+  const nowMs = now.getTime();
+  let maxTemperature24h = null;
+  let lastThaw = null;
+  let refreezes72h = 0;
+  let thawed = false;
+
+  for (const point of points) {
+    const ts = new Date(point.ts).getTime();
+    const max = point.max[key];
+    const min = point.min[key];
+    if (max === null || max === undefined) continue;
+
+    if (nowMs - ts <= 24 * HOUR) {
+      maxTemperature24h = maxTemperature24h === null ? max : Math.max(maxTemperature24h, max);
+    }
+    // A refreeze has to come after the thaw, not within the same hour
+    if (thawed && min <= REFREEZE_BELOW) {
+      if (nowMs - ts <= 72 * HOUR) refreezes72h++;
+      thawed = false;
+    }
+    if (max > 0) {
+      lastThaw = ts;
+      thawed = true;
+    }
+  }
+
+  return {
+    maxTemperature24h,
+    hoursSinceThaw: lastThaw === null ? null : (nowMs - lastThaw) / HOUR,
+    refreezes72h
+  };
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '' || value === '--') {
+    return null;
+  }
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+// The forecast entry for the current hour
+function currentEntry(timeseries = [], now) {
+  const past = timeseries.filter(item => new Date(item.time) <= now);
+  return past[past.length - 1] || timeseries[0] || null;
+}
+
+/**
+ * Surface estimates for a resort from the source data ({ hafjell, yr },
+ * see lib/data-sources.js): { top, bottom }, each
+ * { surface, label, rule, reason, features }, null without a temperature.
+ */
+export async function estimateSnowQuality(resortConfig, { hafjell, yr }, now = new Date()) {
+  const history = await getTemperatureHistory(resortConfig.slug, '7d', now);
+  const seriesKey = { top: 't', bottom: 'b' };
+  const result = {};
+
+  for (const station of ['top', 'bottom']) {
+    const temperature = toNumber(hafjell?.[station]?.temperature);
+    if (temperature === null) {
+      result[station] = null;
+      continue;
+    }
+
+    const entry = currentEntry(yr?.stations?.[station]?.timeseries, now);
+    const nextHour = entry?.data.next_1_hours;
+    const precipitation = nextHour?.details?.precipitation_amount ?? 0;
+    const symbol = nextHour?.summary?.symbol_code || '';
+    const thaw = historyFeatures(history, seriesKey[station], now);
+
+    const features = {
+      temperature,
+      maxTemperature24h: Math.max(thaw.maxTemperature24h ?? temperature, temperature),
+      hoursSinceThaw: thaw.hoursSinceThaw,
+      refreezes72h: thaw.refreezes72h,
+      newSnow24h: toNumber(hafjell[station].snow?.today) ?? 0,
+      newSnowWeek: toNumber(hafjell[station].snow?.week) ?? 0,
+      snowingNow: precipitation >= SNOWING_MM &&
+        classifyPrecipitation(entry.data.instant.details.air_temperature, precipitation) === 'snow',
+      wind: toNumber(hafjell[station].wind) ?? 0,
+      sunny: /^(clearsky|fair)_day$/.test(symbol)
+    };
+
+    result[station] = { ...classifySurface(features), features };
+  }
+
+  return result;
+}
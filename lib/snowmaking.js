@@ -0,0 +1,154 @@
+/**
+ * Snowmaking windows for the next 72 hours
+ *
+ * Snow guns depend on the wet-bulb temperature, not the air temperature.
+ * Wet-bulb is computed for every Met.no forecast entry (lib/derived-metrics.js)
+ * and rated:
+ *   good      below GOOD_WET_BULB (−5 °C)
+ *   marginal  below MARGINAL_WET_BULB (−2 °C)
+ *
+ * The Homey humidity is the ground truth: the difference between it and
+ * the forecast humidity for the current hour is added to the forecast,
+ * fading out over BIAS_HOURS.
+ *
+ * Tonight is 18:00-08:00 Norwegian time (the current night before 08:00).
+ */
+
+import { wetBulb } from './derived-metrics.js';
+import { osloDate, osloTime } from './oslo-time.js';
+
+const HOUR = 60 * 60 * 1000;
+const OUTLOOK_HOURS = 72;
+const BIAS_HOURS = 24;
+
+export const GOOD_WET_BULB = -5;
+export const MARGINAL_WET_BULB = -2;
+
+const NIGHT_START = 18;
+const NIGHT_END = 8;
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+export function rateWetBulb(value) {
+  if (value === null) return null;
+  if (value < GOOD_WET_BULB) return 'good';
+  if (value < MARGINAL_WET_BULB) return 'marginal';
+  return 'none';
+}
+
+/**
+ * { from, to } (ms) of tonight
+ */
+function tonight(now) {
+  const today = osloDate(now);
+  const morning = osloTime(today, NIGHT_END);
+  if (now.getTime() < morning) {
+    const yesterday = osloDate(new Date(now.getTime() - 24 * HOUR));
+    return { from: osloTime(yesterday, NIGHT_START), to: morning };
+  }
+  const tomorrow = osloDate(new Date(now.getTime() + 24 * HOUR));
+  return { from: osloTime(today, NIGHT_START), to: osloTime(tomorrow, NIGHT_END) };
+}
+
+// Hours of [start, end) that fall within [from, to)
+function overlapHours(start, end, from, to) {
+  return Math.max(0, Math.min(end, to) - Math.max(start, from)) / HOUR;
+}
+
+function summarize(night, windows) {
+  if (night.goodHours >= 1) return `~${Math.round(night.goodHours)} good hours tonight`;
+  if (night.marginalHours >= 1) return `~${Math.round(night.marginalHours)} marginal hours tonight`;
+  return windows.length > 0 ? 'No snowmaking tonight' : 'No snowmaking in the next 72 hours';
+}
+
+/**
+ * Snowmaking outlook from a station's timeseries:
+ * { hours: [{ time, hours, wetBulb, humidity, rating }],
+ *   windows: [{ from, to, hours, goodHours, minWetBulb }],
+ *   tonight: { from, to, goodHours, marginalHours },
+ *   summary, humidityBias }
+ * Each entry covers the time until the next one (1 h, later 6 h).
+ * homeyHumidity is the current Homey reading in % (or null).
+ */
+export function snowmakingOutlook(timeseries = [], homeyHumidity = null, now = new Date()) {
+  const nowMs = now.getTime();
+  const end = nowMs + OUTLOOK_HOURS * HOUR;
+
+  // Ground-truth correction from the entry for the current hour
+  const current = timeseries.filter(item => new Date(item.time).getTime() <= nowMs).pop() || timeseries[0];
+  const forecastHumidity = current?.data.instant.details.relative_humidity;
+  const humidityBias = homeyHumidity !== null && forecastHumidity !== undefined
+    ? round1(homeyHumidity - forecastHumidity)
+    : 0;
+
+  const hours = [];
+  timeseries.forEach((item, i) => {
+    const start = new Date(item.time).getTime();
+    const next = timeseries[i + 1] ? new Date(timeseries[i + 1].time).getTime() : start + HOUR;
+    if (next <= nowMs || start >= end) return;
+
+    const details = item.data.instant.details;
+    const fade = Math.max(0, 1 - (start - nowMs) / (BIAS_HOURS * HOUR));
+    const humidity = details.relative_humidity === undefined
+      ? null
+      : Math.min(100, Math.max(1, details.relative_humidity + humidityBias * fade));
+    const value = humidity === null ? null : wetBulb(details.air_temperature, humidity);
+
+    hours.push({
+      time: item.time,
+      hours: (Math.min(next, end) - start) / HOUR,
+      wetBulb: value,
+      humidity: humidity === null ? null : Math.round(humidity),
+      rating: rateWetBulb(value)
+    });
+  });
+
+  // Consecutive marginal or good entries make a window
+  const windows = [];
+  let window = null;
+  for (const hour of hours) {
+    const start = new Date(hour.time).getTime();
+    if (hour.rating === 'good' || hour.rating === 'marginal') {
+      if (!window) {
+        window = { from: hour.time, to: null, hours: 0, goodHours: 0, minWetBulb: hour.wetBulb };
+        windows.push(window);
+      }
+      window.to = new Date(start + hour.hours * HOUR).toISOString();
+      window.hours += hour.hours;
+      if (hour.rating === 'good') window.goodHours += hour.hours;
+      window.minWetBulb = Math.min(window.minWetBulb, hour.wetBulb);
+    } else {
+      window = null;
+    }
+  }
+  windows.forEach(item => {
+    item.hours = round1(item.hours);
+    item.goodHours = round1(item.goodHours);
+  });
+
+  const night = tonight(now);
+  const tonightSummary = {
+    from: new Date(night.from).toISOString(),
+    to: new Date(night.to).toISOString(),
+    goodHours: 0,
+    marginalHours: 0
+  };
+  for (const hour of hours) {
+    const start = new Date(hour.time).getTime();
+    const inNight = overlapHours(start, start + hour.hours * HOUR, Math.max(night.from, nowMs), night.to);
+    if (hour.rating === 'good') tonightSummary.goodHours += inNight;
+    if (hour.rating === 'marginal') tonightSummary.marginalHours += inNight;
+  }
+  tonightSummary.goodHours = round1(tonightSummary.goodHours);
+  tonightSummary.marginalHours = round1(tonightSummary.marginalHours);
+
+  return {
+    hours,
+    windows,
+    tonight: tonightSummary,
+    summary: summarize(tonightSummary, windows),
+    humidityBias
+  };
+}
@@ -0,0 +1,180 @@
+/**
+ * Multi-resolution temperature history (Homey, resort top, resort bottom)
+ *
+ * Retention:
+ * - raw:    5-minute points for 48 hours
+ * - hourly: min/max/mean aggregates for 90 days
+ * - daily:  min/max/mean aggregates for the current season
+ *
+ * Each series is stored as one JSON array per resort via lib/redis.js,
+ * so history survives cold starts whenever REDIS_URL is configured.
+ * Updates hold a per-resort lock, so concurrent refreshes (cron, stream,
+ * manual) cannot overwrite each other's readings.
+ */
+
+import { getJSON, setJSON, withLock } from './redis.js';
+import { osloDate } from './oslo-time.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const RAW_INTERVAL = 5 * MINUTE;
+const RAW_RETENTION = 48 * HOUR;
+const HOURLY_RETENTION = 90 * DAY;
+
+// The ski season is counted from August 1st (Norway local date)
+const SEASON_START = '08-01';
+
+const SERIES = ['h', 't', 'b'];
+
+function historyKey(resort, resolution) {
+  return `temp_history:${resort}:${resolution}`;
+}
+
+function lockKey(resort) {
+  return `temp_history_lock:${resort}`;
+}
+
+export const HISTORY_RANGES = {
+  '12h': { resolution: 'raw', duration: 12 * HOUR },
+  '48h': { resolution: 'raw', duration: 48 * HOUR },
+  '7d': { resolution: 'hourly', duration: 7 * DAY },
+  'season': { resolution: 'daily', duration: null }
+};
+
+export const DEFAULT_RANGE = '12h';
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '' || value === '--') {
+    return null;
+  }
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function seasonStartDate(dateString) {
+  const [year, monthDay] = [dateString.slice(0, 4), dateString.slice(5)];
+  const startYear = monthDay >= SEASON_START ? Number(year) : Number(year) - 1;
+  return `${startYear}-${SEASON_START}`;
+}
+
+function emptyAggregate(ts) {
+  return { ts, count: {}, sum: {}, min: {}, max: {} };
+}
+
+function addToAggregate(aggregate, values) {
+  for (const key of SERIES) {
+    const value = values[key];
+    if (value === null) continue;
+
+    aggregate.count[key] = (aggregate.count[key] || 0) + 1;
+    aggregate.sum[key] = (aggregate.sum[key] || 0) + value;
+    aggregate.min[key] = aggregate.min[key] === undefined ? value : Math.min(aggregate.min[key], value);
+    aggregate.max[key] = aggregate.max[key] === undefined ? value : Math.max(aggregate.max[key], value);
+  }
+  return aggregate;
+}
+
+function aggregateToPoint(aggregate) {
+  const point = { ts: aggregate.ts, min: {}, max: {} };
+  for (const key of SERIES) {
+    const count = aggregate.count[key];
+    point[key] = count ? round1(aggregate.sum[key] / count) : null;
+    point.min[key] = count ? aggregate.min[key] : null;
+    point.max[key] = count ? aggregate.max[key] : null;
+  }
+  return point;
+}
+
+function upsertAggregate(list, ts, values) {
+  let aggregate = list.length > 0 && list[list.length - 1].ts === ts
+    ? list[list.length - 1]
+    : null;
+
+  if (!aggregate) {
+    aggregate = emptyAggregate(ts);
+    list.push(aggregate);
+  }
+
+  addToAggregate(aggregate, values);
+  return list;
+}
+
+/**
+ * Record one reading of each series at all three resolutions.
+ * Values may be numbers, numeric strings, '--' or null.
+ */
+export async function recordTemperatures(resort, { homey, top, bottom }, now = new Date()) {
+  const values = { h: toNumber(homey), t: toNumber(top), b: toNumber(bottom) };
+
+  if (SERIES.every(key => values[key] === null)) {
+    console.log('📊 History: no temperatures to record');
+    return;
+  }
+
+  try {
+    await withLock(lockKey(resort), () => updateHistory(resort, values, now));
+  } catch (error) {
+    console.error(`❌ History (${resort}) not recorded:`, error.message);
+  }
+}
+
+async function updateHistory(resort, values, now) {
+  const nowMs = now.getTime();
+  const [raw, hourly, daily] = await Promise.all([
+    getJSON(historyKey(resort, 'raw')),
+    getJSON(historyKey(resort, 'hourly')),
+    getJSON(historyKey(resort, 'daily'))
+  ]);
+
+  // Raw: one point per 5-minute slot, the latest reading wins
+  const rawTs = new Date(Math.floor(nowMs / RAW_INTERVAL) * RAW_INTERVAL).toISOString();
+  let rawList = (raw || []).filter(p => p.ts !== rawTs);
+  rawList.push({ ts: rawTs, ...values });
+  rawList = rawList.filter(p => nowMs - new Date(p.ts).getTime() <= RAW_RETENTION);
+
+  // Hourly aggregates
+  const hourTs = new Date(Math.floor(nowMs / HOUR) * HOUR).toISOString();
+  let hourlyList = upsertAggregate(hourly || [], hourTs, values);
+  hourlyList = hourlyList.filter(a => nowMs - new Date(a.ts).getTime() <= HOURLY_RETENTION);
+
+  // Daily aggregates for the current season
+  const dayTs = osloDate(now);
+  const seasonStart = seasonStartDate(dayTs);
+  let dailyList = upsertAggregate(daily || [], dayTs, values);
+  dailyList = dailyList.filter(a => a.ts >= seasonStart);
+
+  await Promise.all([
+    setJSON(historyKey(resort, 'raw'), rawList, RAW_RETENTION / 1000),
+    setJSON(historyKey(resort, 'hourly'), hourlyList, HOURLY_RETENTION / 1000),
+    setJSON(historyKey(resort, 'daily'), dailyList, 400 * DAY / 1000)
+  ]);
+
+  console.log(`📊 History (${resort}): ${rawList.length} raw, ${hourlyList.length} hourly, ${dailyList.length} daily points`);
+}
+
+/**
+ * Get history points for one of the HISTORY_RANGES.
+ * Raw points are { ts, h, t, b }; aggregated points add min/max per series.
+ */
+export async function getTemperatureHistory(resort, range = DEFAULT_RANGE, now = new Date()) {
+  const config = HISTORY_RANGES[range];
+  if (!config) {
+    throw new Error(`Unknown history range: ${range}`);
+  }
+
+  const list = (await getJSON(historyKey(resort, config.resolution))) || [];
+  const since = config.duration ? now.getTime() - config.duration : null;
+
+  const points = config.resolution === 'raw' ? list : list.map(aggregateToPoint);
+
+  if (since === null) {
+    return points;
+  }
+  return points.filter(p => new Date(p.ts).getTime() >= since);
+}
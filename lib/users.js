@@ -0,0 +1,260 @@
+/**
+ * Dashboard users
+ *
+ * Users are stored in lib/redis.js under dashboard_users:
+ *
+ *   { "<lowercase username>": { username, role, passwordHash, createdAt, updatedAt } }
+ *
+ * Passwords are hashed with scrypt (random salt per user). Roles:
+ * - viewer  can log in and see the dashboard
+ * - admin   can also refresh sources, change settings, list Homey devices
+ *           and manage users and lockouts
+ *
+ * While the store is empty, DASHBOARD_USERNAME / DASHBOARD_PASSWORD act as
+ * the bootstrap admin; that account is written to the store when the first
+ * user is added, so it keeps working afterwards.
+ *
+ * Changes hold dashboard_users_lock, so concurrent admin edits cannot
+ * overwrite each other.
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { getJSON, setJSON, withLock } from './redis.js';
+
+export const ROLES = ['viewer', 'admin'];
+
+const USERS_KEY = 'dashboard_users';
+const LOCK_KEY = 'dashboard_users_lock';
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+const scrypt = promisify(crypto.scrypt);
+
+export class UserError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'UserError';
+    this.status = status;
+  }
+}
+
+// ========== PASSWORD HASHING ==========
+
+/**
+ * Hash a password as scrypt$N$r$p$salt$hash (salt and hash base64)
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT.keylen, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+export async function verifyPassword(password, passwordHash) {
+  const [algorithm, N, r, p, salt, hash] = String(passwordHash).split('$');
+  if (algorithm !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Verified against when the username does not exist, so both cases take as long
+let dummyHash = null;
+
+// ========== USER STORE ==========
+
+function userKey(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+async function loadUsers() {
+  return (await getJSON(USERS_KEY)) || {};
+}
+
+function bootstrapAdmin() {
+  const { DASHBOARD_USERNAME, DASHBOARD_PASSWORD } = process.env;
+  if (!DASHBOARD_USERNAME || !DASHBOARD_PASSWORD) return null;
+  return { username: DASHBOARD_USERNAME, role: 'admin', bootstrap: true };
+}
+
+function publicUser(user) {
+  return {
+    username: user.username,
+    role: user.role,
+    createdAt: user.createdAt || null,
+    updatedAt: user.updatedAt || null
+  };
+}
+
+/**
+ * Whether anyone can log in at all
+ */
+export async function hasUsers() {
+  return Object.keys(await loadUsers()).length > 0 || bootstrapAdmin() !== null;
+}
+
+/**
+ * A user by name ({ username, role, … } without the hash), or null
+ */
+export async function getUser(username) {
+  const users = await loadUsers();
+
+  if (Object.keys(users).length === 0) {
+    const admin = bootstrapAdmin();
+    return admin && userKey(admin.username) === userKey(username) ? publicUser(admin) : null;
+  }
+
+  const user = users[userKey(username)];
+  return user ? publicUser(user) : null;
+}
+
+/**
+ * Check a username and password. Returns the user, or null.
+ */
+export async function authenticate(username, password) {
+  const users = await loadUsers();
+  let user = users[userKey(username)];
+
+  if (Object.keys(users).length === 0) {
+    const admin = bootstrapAdmin();
+    if (admin && userKey(admin.username) === userKey(username)) {
+      user = { ...admin, passwordHash: await hashPassword(process.env.DASHBOARD_PASSWORD) };
+    }
+  }
+
+  if (!user) {
+    dummyHash = dummyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+    await verifyPassword(password, dummyHash);
+    return null;
+  }
+
+  return (await verifyPassword(password, user.passwordHash)) ? publicUser(user) : null;
+}
+
+export async function listUsers() {
+  const users = await loadUsers();
+
+  if (Object.keys(users).length === 0) {
+    const admin = bootstrapAdmin();
+    return admin ? [{ ...publicUser(admin), bootstrap: true }] : [];
+  }
+
+  return Object.values(users).map(publicUser).sort((a, b) => a.username.localeCompare(b.username));
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new UserError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new UserError(`role must be one of: ${ROLES.join(', ')}`);
+  }
+}
+
+/**
+ * The stored users, seeded with the bootstrap admin when still empty
+ */
+async function loadUsersForUpdate() {
+  const users = await loadUsers();
+  const admin = bootstrapAdmin();
+
+  if (Object.keys(users).length === 0 && admin) {
+    const now = new Date().toISOString();
+    users[userKey(admin.username)] = {
+      username: admin.username,
+      role: 'admin',
+      passwordHash: await hashPassword(process.env.DASHBOARD_PASSWORD),
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  return users;
+}
+
+export async function addUser({ username, password, role = 'viewer' }) {
+  const name = String(username || '').trim();
+  if (!/^[\w.@-]{2,64}$/.test(name)) {
+    throw new UserError('username must be 2-64 letters, digits or . _ @ -');
+  }
+  validatePassword(password);
+  validateRole(role);
+
+  const passwordHash = await hashPassword(password);
+
+  return withLock(LOCK_KEY, async () => {
+    const users = await loadUsersForUpdate();
+    if (users[userKey(name)]) {
+      throw new UserError(`User ${name} already exists`, 409);
+    }
+
+    const now = new Date().toISOString();
+    users[userKey(name)] = {
+      username: name,
+      role,
+      passwordHash,
+      createdAt: now,
+      updatedAt: now
+    };
+    await setJSON(USERS_KEY, users);
+    return publicUser(users[userKey(name)]);
+  });
+}
+
+function countAdmins(users) {
+  return Object.values(users).filter(user => user.role === 'admin').length;
+}
+
+/**
+ * Reset a user's password and/or change their role
+ */
+export async function updateUser(username, { password, role }) {
+  if (password !== undefined) validatePassword(password);
+  if (role !== undefined) validateRole(role);
+  const passwordHash = password !== undefined ? await hashPassword(password) : null;
+
+  return withLock(LOCK_KEY, async () => {
+    const users = await loadUsersForUpdate();
+    const user = users[userKey(username)];
+    if (!user) {
+      throw new UserError(`User ${username} not found`, 404);
+    }
+
+    if (passwordHash) {
+      user.passwordHash = passwordHash;
+    }
+    if (role !== undefined) {
+      if (user.role === 'admin' && role !== 'admin' && countAdmins(users) === 1) {
+        throw new UserError('Cannot demote the last admin', 409);
+      }
+      user.role = role;
+    }
+
+    user.updatedAt = new Date().toISOString();
+    await setJSON(USERS_KEY, users);
+    return publicUser(user);
+  });
+}
+
+export async function removeUser(username) {
+  return withLock(LOCK_KEY, async () => {
+    const users = await loadUsersForUpdate();
+    const user = users[userKey(username)];
+    if (!user) {
+      throw new UserError(`User ${username} not found`, 404);
+    }
+    if (user.role === 'admin' && countAdmins(users) === 1) {
+      throw new UserError('Cannot remove the last admin', 409);
+    }
+
+    delete users[userKey(username)];
+    await setJSON(USERS_KEY, users);
+    return publicUser(user);
+  });
+}
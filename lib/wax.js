@@ -0,0 +1,301 @@
+/**
+ * Wax recommendations for the top and bottom stations
+ *
+ * Combines the station temperature (Fnugg), the Homey humidity, the snow
+ * age, new versus transformed snow and the forecast over the next session
+ * into Swix-style kick and glide bands:
+ *
+ * 1. The session temperature is the mean of the current reading and the
+ *    station's own forecast for the next SESSION_HOURS (lib/met-no.js).
+ * 2. It is adjusted into an effective snow temperature: humid air makes
+ *    snow behave warmer, dry air colder, and sharp new crystals need a
+ *    harder (colder) wax.
+ * 3. Glide is the temperature band of the effective temperature. Kick is
+ *    hard wax of that band on new snow, and klister on transformed snow
+ *    or when the snow age is unknown.
+ *
+ * Every missing input or borderline call lowers the confidence, and each
+ * step adds a line to reasons.
+ *
+ * Snow age is the time since Fnugg last reported more snow today, stored
+ * per resort on each refresh (under snowfall_lock:<resort>):
+ *   snowfall:<resort>  { top: { date, today, at }, bottom: { ... } }
+ */
+
+import { getJSON, setJSON, withLock } from './redis.js';
+import { osloDate } from './oslo-time.js';
+import { getTemperatureHistory } from './temperature-history.js';
+
+const HOUR = 60 * 60 * 1000;
+const SESSION_HOURS = 3;
+const NEW_SNOW_HOURS = 48;
+const SNOWFALL_RETENTION_DAYS = 30;
+
+// Humidity (%) limits for the effective-temperature adjustment
+const HUMID = 85;
+const DRY = 50;
+
+// Swix-style temperature bands, warm to cold (°C); the same bands as the
+// colour coding of the station temperatures on the dashboard
+export const WAX_BANDS = [
+  { band: 'yellow', name: 'Yellow', min: 0, max: 10, hardWax: 'Yellow hard wax', klister: 'Universal klister' },
+  { band: 'red', name: 'Red', min: -4, max: 0, hardWax: 'Red hard wax', klister: 'Violet klister' },
+  { band: 'violet', name: 'Violet', min: -8, max: -4, hardWax: 'Violet hard wax', klister: 'Violet klister' },
+  { band: 'blue', name: 'Blue', min: -12, max: -8, hardWax: 'Blue hard wax', klister: 'Blue klister' },
+  { band: 'green', name: 'Green', min: -18, max: -12, hardWax: 'Green hard wax', klister: 'Blue klister' },
+  { band: 'polar', name: 'Polar', min: -30, max: -18, hardWax: 'Polar hard wax', klister: 'Blue klister' }
+];
+
+export const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '' || value === '--') {
+    return null;
+  }
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function formatTemperature(value) {
+  return `${value > 0 ? '+' : ''}${round1(value)} °C`;
+}
+
+/**
+ * The band a temperature falls in (the warmer band on a boundary)
+ */
+export function bandFor(temperature) {
+  return WAX_BANDS.find(band => temperature >= band.min) || WAX_BANDS[WAX_BANDS.length - 1];
+}
+
+/**
+ * new or transformed snow. Snow is new for NEW_SNOW_HOURS after a
+ * snowfall unless it has thawed since. null when the snow age is unknown.
+ */
+export function classifySnow(snowAgeHours, thawedSinceSnowfall = false) {
+  if (snowAgeHours === null) return null;
+  return snowAgeHours <= NEW_SNOW_HOURS && !thawedSinceSnowfall ? 'new' : 'transformed';
+}
+
+/**
+ * A recommendation for one station:
+ * { temperature, sessionTemperature, effectiveTemperature, humidity,
+ *   snowAgeHours, snowType, trend, kick, glide, alternative, confidence, reasons }
+ * Inputs: temperature (°C, required), humidity (%), snowAgeHours,
+ * thawedSinceSnowfall, and forecast: the forecast temperatures for the
+ * next session. Returns null without a temperature.
+ */
+export function recommendWax({
+  temperature,
+  humidity = null,
+  snowAgeHours = null,
+  thawedSinceSnowfall = false,
+  forecast = []
+}) {
+  if (temperature === null || temperature === undefined) return null;
+
+  const reasons = [];
+  let penalties = 0;
+
+  // 1. Session temperature
+  let sessionTemperature = temperature;
+  let trend = null;
+  if (forecast.length > 0) {
+    sessionTemperature = (temperature + forecast.reduce((sum, t) => sum + t, 0) / forecast.length) / 2;
+    trend = round1(forecast[forecast.length - 1] - temperature);
+    if (Math.abs(trend) >= 1) {
+      reasons.push(`${trend > 0 ? 'Warming' : 'Cooling'} by ${Math.abs(trend)}° over the next ${SESSION_HOURS} hours: waxing for ${formatTemperature(sessionTemperature)}`);
+    } else {
+      reasons.push(`Steady temperature around ${formatTemperature(temperature)} for the next ${SESSION_HOURS} hours`);
+    }
+    if (Math.abs(trend) >= 3) {
+      reasons.push('Large temperature change during the session: carry the neighbouring wax');
+      penalties++;
+    }
+  } else {
+    reasons.push(`No forecast for the session: waxing for the current ${formatTemperature(temperature)}`);
+    penalties++;
+  }
+
+  // 2. Effective snow temperature
+  let effectiveTemperature = sessionTemperature;
+  if (humidity === null) {
+    reasons.push('No humidity reading');
+    penalties++;
+  } else if (humidity >= HUMID) {
+    effectiveTemperature += 1;
+    reasons.push(`Humid air (${Math.round(humidity)}%) makes the snow act warmer`);
+  } else if (humidity <= DRY) {
+    effectiveTemperature -= 1;
+    reasons.push(`Dry air (${Math.round(humidity)}%) makes the snow act colder`);
+  }
+
+  const snowType = classifySnow(snowAgeHours, thawedSinceSnowfall);
+  if (snowType === null) {
+    reasons.push('Unknown snow age: assuming transformed snow');
+    penalties++;
+  } else if (snowType === 'new') {
+    effectiveTemperature -= 1;
+    reasons.push(`New snow (${Math.round(snowAgeHours)} h old) has sharp crystals: one step harder`);
+  } else if (thawedSinceSnowfall) {
+    reasons.push('The snow has thawed since the last snowfall: transformed snow');
+  } else {
+    reasons.push(`Snow is ${Math.round(snowAgeHours / 24)} days old: transformed snow`);
+  }
+
+  // 3. Bands
+  const glideBand = bandFor(effectiveTemperature);
+  const useKlister = snowType !== 'new';
+  const kick = {
+    band: glideBand.band,
+    name: glideBand.name,
+    type: useKlister ? 'klister' : 'hard wax',
+    wax: useKlister ? glideBand.klister : glideBand.hardWax
+  };
+  if (useKlister) {
+    reasons.push(effectiveTemperature >= 0
+      ? 'Wet, coarse grains: klister for grip'
+      : 'Transformed, icy grains: klister for grip');
+  }
+
+  // Near a band boundary the neighbouring band may work better
+  let alternative = null;
+  const warmer = WAX_BANDS[WAX_BANDS.indexOf(glideBand) - 1];
+  const colder = WAX_BANDS[WAX_BANDS.indexOf(glideBand) + 1];
+  if (warmer && glideBand.max - effectiveTemperature <= 1) {
+    alternative = { band: warmer.band, name: warmer.name };
+  } else if (colder && effectiveTemperature - glideBand.min <= 1) {
+    alternative = { band: colder.band, name: colder.name };
+  }
+  if (alternative) {
+    reasons.push(`Close to the ${alternative.name.toLowerCase()} band: test both`);
+    penalties++;
+  }
+
+  if (temperature >= -1 && temperature <= 1) {
+    reasons.push('Around freezing: the hardest conditions to wax for');
+    penalties++;
+  }
+
+  return {
+    temperature: round1(temperature),
+    sessionTemperature: round1(sessionTemperature),
+    effectiveTemperature: round1(effectiveTemperature),
+    humidity,
+    snowAgeHours: snowAgeHours === null ? null : Math.round(snowAgeHours),
+    snowType,
+    trend,
+    kick,
+    glide: { band: glideBand.band, name: glideBand.name },
+    alternative,
+    confidence: CONFIDENCE_LEVELS[Math.min(penalties, CONFIDENCE_LEVELS.length - 1)],
+    reasons
+  };
+}
+
+// ========== SNOW AGE ==========
+
+function snowfallKey(resort) {
+  return `snowfall:${resort}`;
+}
+
+function snowfallLockKey(resort) {
+  return `snowfall_lock:${resort}`;
+}
+
+/**
+ * Note the time of new snow at each station: whenever Fnugg's snow today
+ * (cm) goes up, or is above zero on a new day. hafjell is the fnugg source.
+ */
+export async function recordSnowfall(resort, hafjell, now = new Date()) {
+  try {
+    await withLock(snowfallLockKey(resort), () => updateSnowfall(resort, hafjell, now));
+  } catch (error) {
+    console.error(`❌ Snowfall (${resort}) not recorded:`, error.message);
+  }
+}
+
+async function updateSnowfall(resort, hafjell, now) {
+  const today = osloDate(now);
+  const previous = (await getJSON(snowfallKey(resort))) || {};
+  const next = {};
+
+  for (const station of ['top', 'bottom']) {
+    const snowToday = toNumber(hafjell[station]?.snow?.today) ?? 0;
+    const last = previous[station] || null;
+    const sameDay = last?.date === today;
+    const snowed = snowToday > 0 && (!sameDay || snowToday > last.today);
+
+    next[station] = {
+      date: today,
+      today: snowToday,
+      at: snowed ? now.toISOString() : last?.at ?? null
+    };
+    if (snowed) {
+      console.log(`❄️ New snow at ${resort} ${station}: ${snowToday} cm today`);
+    }
+  }
+
+  await setJSON(snowfallKey(resort), next, SNOWFALL_RETENTION_DAYS * 24 * 60 * 60);
+}
+
+/**
+ * Hours since the last snowfall at a station, or null when unknown.
+ * Without a recorded snowfall, Fnugg's snow this week gives a lower bound.
+ */
+function snowAge(recorded, snow, now) {
+  if (recorded?.at) return (now - new Date(recorded.at)) / HOUR;
+  if (snow && toNumber(snow.week) === 0) return 7 * 24;
+  return null;
+}
+
+// Forecast temperatures for the session from a station's timeseries
+function sessionForecast(timeseries = [], now) {
+  const end = now.getTime() + SESSION_HOURS * HOUR;
+  return timeseries
+    .filter(item => {
+      const time = new Date(item.time).getTime();
+      return time > now.getTime() && time <= end;
+    })
+    .map(item => item.data.instant.details.air_temperature);
+}
+
+/**
+ * Recommendations for a resort from the last source data
+ * ({ hafjell, yr, homey }, see lib/data-sources.js):
+ * { top, bottom } with the station altitude added, null where there is
+ * no temperature.
+ */
+export async function getWaxRecommendations(resortConfig, { hafjell, yr, homey }, now = new Date()) {
+  const [snowfall, history] = await Promise.all([
+    getJSON(snowfallKey(resortConfig.slug)),
+    getTemperatureHistory(resortConfig.slug, '7d', now)
+  ]);
+  const humidity = homey && !homey.humidityStale ? toNumber(homey.humidity) : null;
+  const seriesKey = { top: 't', bottom: 'b' };
+
+  const result = {};
+  for (const station of ['top', 'bottom']) {
+    const timeseries = yr?.stations?.[station]?.timeseries;
+    const temperature = toNumber(hafjell?.[station]?.temperature)
+      ?? timeseries?.[0]?.data.instant.details.air_temperature
+      ?? null;
+
+    const recorded = snowfall?.[station];
+    const since = recorded?.at ? new Date(recorded.at).getTime() : now.getTime() - 7 * 24 * HOUR;
+    const thawed = history.some(point => new Date(point.ts).getTime() >= since && point.max[seriesKey[station]] > 0);
+
+    const recommendation = recommendWax({
+      temperature,
+      humidity,
+      snowAgeHours: snowAge(recorded, hafjell?.[station]?.snow, now),
+      thawedSinceSnowfall: thawed,
+      forecast: sessionForecast(timeseries, now)
+    });
+    result[station] = recommendation && { altitude: resortConfig.elevations[station], ...recommendation };
+  }
+  return result;
+}
@@ -0,0 +1,210 @@
+/**
+ * Inversion and freeze-thaw detection
+ *
+ * Runs on every refresh with the fresh temperatures (the same readings
+ * that go into lib/temperature-history.js) and records two kinds of event
+ * with start and end times:
+ *
+ *   inversion   the top station is warmer than the bottom station
+ *               (by more than INVERSION_MARGIN)
+ *   freezeThaw  a series (top, bottom or homey) that was frozen thaws
+ *               above 0 °C; once it refreezes below REFREEZE_BELOW the
+ *               slopes are icy, so the event stays active until the next
+ *               thaw or ICY_HOURS after the refreeze
+ *
+ * Events: { id, type, series, start, end, peak } where end is null while
+ * the event is active and peak is the largest inversion (°C) or the
+ * highest thaw temperature. Freeze-thaw events also have refrozen, the
+ * time of the refreeze (null while thawing). Stored via lib/redis.js per
+ * scope - the resort for inversions and its top and bottom stations, and
+ * HOMEY_SCOPE once for the Homey sensor, which all resorts share:
+ *
+ *   weather_event_state:<scope>  { open: { <type:series>: event }, frozen: { <series>: bool } }
+ *   weather_events:<scope>       [event] (oldest first, EVENT_RETENTION_DAYS)
+ */
+
+import { getJSON, setJSON, withLock } from './redis.js';
+
+const EVENT_RETENTION_DAYS = 30;
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const INVERSION_MARGIN = 0.5;
+const REFREEZE_BELOW = -1;
+const ICY_HOURS = 24;
+
+export const EVENT_TYPES = ['inversion', 'freezeThaw'];
+export const SERIES = ['top', 'bottom', 'homey'];
+
+const HOMEY_SCOPE = 'homey';
+
+function scopeSeries(scope) {
+  return scope === HOMEY_SCOPE ? ['homey'] : ['top', 'bottom'];
+}
+
+// Whether an event belongs to the scope (older logs had Homey per resort)
+function inScope(scope, event) {
+  return event.series === null ? scope !== HOMEY_SCOPE : scopeSeries(scope).includes(event.series);
+}
+
+function stateKey(scope) {
+  return `weather_event_state:${scope}`;
+}
+
+function eventsKey(scope) {
+  return `weather_events:${scope}`;
+}
+
+function lockKey(scope) {
+  return `weather_events_lock:${scope}`;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '' || value === '--') {
+    return null;
+  }
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function openEvent(type, series, ts, peak) {
+  return { id: `${type}:${series || 'resort'}:${ts}`, type, series, start: ts, end: null, peak: round1(peak) };
+}
+
+/**
+ * Update one scope under its lock, so concurrent refreshes (and every
+ * resort's refresh for HOMEY_SCOPE) neither lose nor duplicate events
+ */
+async function updateEvents(scope, readings, now) {
+  try {
+    return await withLock(lockKey(scope), () => updateScope(scope, readings, now));
+  } catch (error) {
+    console.error(`❌ Weather events (${scope}) not updated:`, error.message);
+    return { active: [], started: [], ended: [] };
+  }
+}
+
+async function updateScope(scope, readings, now) {
+  const ts = now.toISOString();
+  const series = scopeSeries(scope);
+  const values = Object.fromEntries(SERIES.map(name => [name, series.includes(name) ? toNumber(readings[name]) : null]));
+
+  const [state, stored] = await Promise.all([
+    getJSON(stateKey(scope)),
+    getJSON(eventsKey(scope))
+  ]);
+  const open = Object.fromEntries(Object.entries(state?.open || {}).filter(([, event]) => inScope(scope, event)));
+  const frozen = { ...(state?.frozen || {}) };
+  const started = [];
+  const ended = [];
+
+  const start = (key, event) => {
+    open[key] = event;
+    started.push(event);
+  };
+  const end = key => {
+    const event = { ...open[key], end: ts };
+    delete open[key];
+    ended.push(event);
+  };
+
+  // Inversion: top warmer than bottom
+  if (values.top !== null && values.bottom !== null) {
+    const difference = values.top - values.bottom;
+    if (open.inversion) {
+      if (difference <= 0) {
+        end('inversion');
+      } else {
+        open.inversion.peak = Math.max(open.inversion.peak, round1(difference));
+      }
+    } else if (difference > INVERSION_MARGIN) {
+      start('inversion', openEvent('inversion', null, ts, difference));
+    }
+  }
+
+  // Freeze-thaw: a thaw after a frost, through the icy refreeze
+  for (const name of series) {
+    const value = values[name];
+    if (value === null) continue;
+
+    const key = `freezeThaw:${name}`;
+    const event = open[key];
+    if (event?.refrozen) {
+      const icyFor = now.getTime() - new Date(event.refrozen).getTime();
+      if (value > 0 || icyFor >= ICY_HOURS * HOUR) end(key);
+    } else if (event) {
+      if (value <= REFREEZE_BELOW) {
+        event.refrozen = ts;
+      } else {
+        event.peak = Math.max(event.peak, round1(value));
+      }
+    }
+    // A thaw after an icy spell starts the next cycle right away
+    if (!open[key] && value > 0 && frozen[name]) {
+      start(key, { ...openEvent('freezeThaw', name, ts, value), refrozen: null });
+    }
+
+    if (value <= REFREEZE_BELOW) frozen[name] = true;
+    if (value > 0) frozen[name] = false;
+  }
+
+  // Open events are kept up to date in the log too, so it has their peak
+  const changed = new Map([...Object.values(open), ...ended].map(event => [event.id, event]));
+  const since = now.getTime() - EVENT_RETENTION_DAYS * DAY;
+  const events = (stored || [])
+    .filter(event => inScope(scope, event) && !changed.has(event.id))
+    .concat([...changed.values()])
+    .filter(event => event.end === null || new Date(event.end).getTime() >= since)
+    .sort((a, b) => a.start.localeCompare(b.start));
+
+  await Promise.all([
+    setJSON(stateKey(scope), { open, frozen }),
+    setJSON(eventsKey(scope), events, EVENT_RETENTION_DAYS * DAY / 1000)
+  ]);
+
+  started.forEach(event => console.log(`🌡️ ${scope}: ${event.type}${event.series ? ` (${event.series})` : ''} started`));
+  ended.forEach(event => console.log(`🌡️ ${scope}: ${event.type}${event.series ? ` (${event.series})` : ''} ended`));
+
+  return { active: Object.values(open), started, ended };
+}
+
+/**
+ * Update the events with one set of readings (numbers, numeric strings,
+ * '--' or null) for a resort and the Homey sensor. Returns
+ * { active, started, ended } lists of events, the Homey ones included.
+ */
+export async function detectWeatherEvents(resort, readings, now = new Date()) {
+  const [resortEvents, homeyEvents] = await Promise.all([
+    updateEvents(resort, readings, now),
+    updateEvents(HOMEY_SCOPE, readings, now)
+  ]);
+
+  return {
+    active: [...resortEvents.active, ...homeyEvents.active],
+    started: [...resortEvents.started, ...homeyEvents.started],
+    ended: [...resortEvents.ended, ...homeyEvents.ended]
+  };
+}
+
+/**
+ * Events of the last `days` (and any still active), newest first,
+ * plus the active ones: { events, active }
+ */
+export async function getWeatherEvents(resort, { days = 7 } = {}, now = new Date()) {
+  const since = now.getTime() - days * DAY;
+  const logs = await Promise.all([resort, HOMEY_SCOPE].map(async scope =>
+    ((await getJSON(eventsKey(scope))) || []).filter(event => inScope(scope, event))
+  ));
+  const events = logs.flat()
+    .filter(event => event.end === null || new Date(event.end).getTime() >= since)
+    .sort((a, b) => b.start.localeCompare(a.start));
+
+  return {
+    events,
+    active: events.filter(event => event.end === null)
+  };
+}
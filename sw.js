@@ -0,0 +1,127 @@
+/**
+ * Service worker: offline support for the dashboard
+ *
+ * - Page (index.html): network first so a deploy shows up at once,
+ *   the cached copy when offline
+ * - Static assets (manifest, icon, background image, Chart.js): cache first
+ * - GET /api/cached-data and /api/auth: the last successful response is kept
+ *   and served when the network fails, marked with
+ *   X-Served-From: offline-cache so the page shows its offline banner
+ * - Everything else (login, settings, stream, history, ...) always goes to
+ *   the network
+ *
+ * Bump the cache versions when SHELL_URLS changes. DATA_CACHE is cleared by
+ * the page on logout (OFFLINE_DATA_CACHE in index.html).
+ */
+
+const SHELL_CACHE = 'wk-dashboard-shell-v1';
+const DATA_CACHE = 'wk-dashboard-data-v1';
+
+const CHART_JS_URL = 'https://cdnjs.cloudflare.com/ajax/libs/Chart.js/3.9.1/chart.min.js';
+
+const SHELL_URLS = [
+  '/',
+  '/manifest.webmanifest',
+  '/images/icon.svg',
+  '/images/winter-bg.jpg',
+  CHART_JS_URL
+];
+
+const OFFLINE_API_PATHS = ['/api/cached-data', '/api/cached-data.js', '/api/auth'];
+
+// ========== LIFECYCLE ==========
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key !== SHELL_CACHE && key !== DATA_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// ========== STRATEGIES ==========
+
+async function pageNetworkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put('/', response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match('/');
+    if (!cached) throw error;
+    return cached;
+  }
+}
+
+async function assetCacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function dataNetworkFirst(request) {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    // Another resort or range is still better than nothing
+    const cached = await cache.match(request) || await cache.match(request, { ignoreSearch: true });
+    if (!cached) throw error;
+
+    const headers = new Headers(cached.headers);
+    headers.set('X-Served-From', 'offline-cache');
+    return new Response(await cached.blob(), {
+      status: cached.status,
+      statusText: cached.statusText,
+      headers
+    });
+  }
+}
+
+// ========== ROUTING ==========
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate' && url.origin === self.location.origin &&
+      (url.pathname === '/' || url.pathname === '/index.html')) {
+    event.respondWith(pageNetworkFirst(request));
+    return;
+  }
+
+  if (url.origin === self.location.origin && OFFLINE_API_PATHS.includes(url.pathname)) {
+    // Only the full payload; history-only and refresh requests are not kept
+    if (url.searchParams.has('action')) return;
+    event.respondWith(dataNetworkFirst(request));
+    return;
+  }
+
+  if (request.url === CHART_JS_URL ||
+      (url.origin === self.location.origin && SHELL_URLS.includes(url.pathname))) {
+    event.respondWith(assetCacheFirst(request));
+  }
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for lib/hafjell-parser.js against synthetic snow report HTML fixtures
+ * (see the fixture headers: no capture of the live page is checked in yet)
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseSnowReport, STATIONS, FIELDS } from '../lib/hafjell-parser.js';
+
+function fixture(name) {
+  return readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+}
+
+test('parses both stations from the snow report markup', () => {
+  const result = parseSnowReport(fixture('hafjell-snow-report.html'));
+
+  assert.deepEqual(result.top, {
+    temperature: 11,
+    condition: 'Mostly sunny',
+    wind: 5.6,
+    snow: 65,
+    snowLastDay: null
+  });
+  assert.deepEqual(result.bottom, {
+    temperature: 20,
+    condition: 'Mostly sunny',
+    wind: 2,
+    snow: 65,
+    snowLastDay: null
+  });
+});
+
+test('returns null for a field that is not on the page', () => {
+  const result = parseSnowReport(fixture('hafjell-snow-report.html'));
+
+  assert.deepEqual(result.missingFields, ['top.snowLastDay', 'bottom.snowLastDay']);
+  assert.equal(result.parsedFields.length, STATIONS.length * (FIELDS.length - 1));
+});
+
+test('reads negative and decimal temperatures', () => {
+  const result = parseSnowReport(`
+    <div><span>-7.4</span><span>-2</span><span>6.1 m/s</span><span>1.8 m/s</span></div>
+    <div><span>Light snow</span><span>85 cm</span></div>
+  `);
+
+  assert.equal(result.top.temperature, -7.4);
+  assert.equal(result.bottom.temperature, -2);
+  assert.equal(result.top.wind, 6.1);
+  assert.equal(result.bottom.condition, 'Light snow');
+  assert.equal(result.bottom.snow, 85);
+});
+
+test('does not read a condition or snow depth from before the stations', () => {
+  const result = parseSnowReport(`
+    <p>Cloudy</p><p>120cm</p>
+    <table><tr><td>3</td><td>5</td><td>4m/s</td><td>1m/s</td></tr></table>
+  `);
+
+  assert.equal(result.top.temperature, 3);
+  assert.equal(result.top.condition, null);
+  assert.equal(result.bottom.snow, null);
+});
+
+test('returns only nulls when the layout is not recognized', () => {
+  const result = parseSnowReport(fixture('hafjell-layout-changed.html'));
+
+  for (const station of STATIONS) {
+    for (const field of FIELDS) {
+      assert.equal(result[station][field], null, `${station}.${field}`);
+    }
+  }
+  assert.deepEqual(result.parsedFields, []);
+  assert.equal(result.missingFields.length, STATIONS.length * FIELDS.length);
+});
+
+test('handles empty input', () => {
+  const result = parseSnowReport('');
+
+  assert.equal(result.top.temperature, null);
+  assert.equal(result.parsedFields.length, 0);
+});
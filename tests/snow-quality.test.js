@@ -0,0 +1,88 @@
+/**
+ * Tests for the rule table in lib/snow-quality.js
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifySurface, historyFeatures, RULES, SURFACES } from '../lib/snow-quality.js';
+
+// Cold, calm, settled snow; each case changes what it needs
+const BASE = {
+  temperature: -6,
+  maxTemperature24h: -4,
+  hoursSinceThaw: null,
+  refreezes72h: 0,
+  newSnow24h: 0,
+  newSnowWeek: 0,
+  snowingNow: false,
+  wind: 3,
+  sunny: false
+};
+
+const CASES = [
+  { name: 'above freezing', features: { temperature: 2, maxTemperature24h: 3 }, rule: 'melting', surface: 'wet' },
+  { name: 'sun after a thaw', features: { temperature: -1, maxTemperature24h: 1.5, sunny: true }, rule: 'sun-softened', surface: 'wet' },
+  { name: 'sun without a thaw', features: { temperature: -1, maxTemperature24h: -0.5, sunny: true }, rule: 'cold-settled', surface: 'packed' },
+  { name: 'big snowfall', features: { newSnow24h: 12, newSnowWeek: 12 }, rule: 'fresh-snowfall', surface: 'powder' },
+  { name: 'snowing now', features: { snowingNow: true, newSnow24h: 1, newSnowWeek: 1 }, rule: 'fresh-snowfall', surface: 'powder' },
+  { name: 'snowfall in strong wind', features: { newSnow24h: 12, newSnowWeek: 12, wind: 14 }, rule: 'wind-crust', surface: 'crust' },
+  { name: 'refrozen hard', features: { hoursSinceThaw: 20, refreezes72h: 1 }, rule: 'refrozen-hard', surface: 'icy' },
+  { name: 'refrozen, near freezing', features: { temperature: -1.5, maxTemperature24h: 0.5, hoursSinceThaw: 10, refreezes72h: 1 }, rule: 'melt-freeze-crust', surface: 'crust' },
+  { name: 'refrozen under a little new snow', features: { hoursSinceThaw: 30, refreezes72h: 1, newSnow24h: 3, newSnowWeek: 3 }, rule: 'melt-freeze-crust', surface: 'crust' },
+  { name: 'refrozen under a lot of new snow', features: { hoursSinceThaw: 30, refreezes72h: 1, newSnow24h: 8, newSnowWeek: 8 }, rule: 'fresh-snowfall', surface: 'powder' },
+  { name: 'light snowfall', features: { newSnow24h: 3, newSnowWeek: 3 }, rule: 'light-snowfall', surface: 'powder' },
+  { name: 'light snowfall near freezing', features: { temperature: -1, newSnow24h: 3, newSnowWeek: 3 }, rule: 'cold-settled', surface: 'packed' },
+  { name: 'cold and settled', features: {}, rule: 'cold-settled', surface: 'packed' }
+];
+
+for (const { name, features, rule, surface } of CASES) {
+  test(`rule table: ${name}`, () => {
+    const result = classifySurface({ ...BASE, ...features });
+
+    assert.equal(result.rule, rule);
+    assert.equal(result.surface, surface);
+    assert.equal(result.label, SURFACES[surface]);
+    assert.ok(result.reason.length > 0);
+  });
+}
+
+test('every rule and surface is covered by a case', () => {
+  const rules = new Set(CASES.map(c => c.rule));
+  const surfaces = new Set(CASES.map(c => c.surface));
+
+  assert.deepEqual(RULES.map(r => r.id).filter(id => !rules.has(id)), []);
+  assert.deepEqual(Object.keys(SURFACES).filter(s => !surfaces.has(s)), []);
+});
+
+test('the last rule matches anything', () => {
+  assert.equal(RULES[RULES.length - 1].when({}), true);
+});
+
+test('history features count a thaw followed by a refreeze', () => {
+  const now = new Date('2026-02-10T12:00:00Z');
+  const hour = (hoursAgo, min, max) => ({
+    ts: new Date(now.getTime() - hoursAgo * 3600000).toISOString(),
+    min: { t: min },
+    max: { t: max }
+  });
+
+  const points = [
+    hour(100, -2, 1), hour(90, -5, -3), // refrozen outside the 72 h window
+    hour(40, -1, 2), hour(30, 0, 1), hour(20, -4, -2), // thaw, refreeze
+    hour(10, -6, -5), hour(2, -7, -6)
+  ];
+
+  const features = historyFeatures(points, 't', now);
+  assert.equal(features.refreezes72h, 1);
+  assert.equal(features.hoursSinceThaw, 30);
+  assert.equal(features.maxTemperature24h, -2);
+});
+
+test('history features without data count as no thaw', () => {
+  assert.deepEqual(historyFeatures([], 'b'), {
+    maxTemperature24h: null,
+    hoursSinceThaw: null,
+    refreezes72h: 0
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for the event detection in lib/weather-events.js
+ * (in-memory store, REDIS_URL unset)
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectWeatherEvents, getWeatherEvents } from '../lib/weather-events.js';
+
+delete process.env.REDIS_URL;
+
+const START = new Date('2026-02-10T00:00:00Z').getTime();
+const at = hours => new Date(START + hours * 3600000);
+
+// Feed top-station readings ([hours, °C]) and return the last result
+async function feed(resort, readings) {
+  let result;
+  for (const [hours, top] of readings) {
+    result = await detectWeatherEvents(resort, { top, bottom: null, homey: null }, at(hours));
+  }
+  return result;
+}
+
+test('a freeze-thaw event stays active through the refreeze', async () => {
+  const refrozen = await feed('test-refreeze', [[0, -5], [1, 2], [2, 3.5], [3, -2]]);
+
+  assert.equal(refrozen.ended.length, 0);
+  assert.equal(refrozen.active.length, 1);
+  assert.equal(refrozen.active[0].refrozen, at(3).toISOString());
+  assert.equal(refrozen.active[0].peak, 3.5);
+
+  const stillIcy = await feed('test-refreeze', [[20, -6]]);
+  assert.equal(stillIcy.active.length, 1);
+  assert.equal(stillIcy.active[0].end, null);
+});
+
+test('a refrozen event ends after the icy hours', async () => {
+  const result = await feed('test-icy-hours', [[0, -5], [1, 2], [3, -2], [27, -4]]);
+
+  assert.equal(result.active.length, 0);
+  assert.equal(result.ended.length, 1);
+  assert.equal(result.ended[0].end, at(27).toISOString());
+});
+
+test('the next thaw ends the icy spell and starts a new cycle', async () => {
+  const result = await feed('test-next-thaw', [[0, -5], [1, 2], [3, -2], [10, 1]]);
+
+  assert.equal(result.ended.length, 1);
+  assert.equal(result.started.length, 1);
+  assert.equal(result.active[0].start, at(10).toISOString());
+  assert.equal(result.active[0].refrozen, null);
+});
+
+test('a thaw without a frost first is not an event', async () => {
+  const result = await feed('test-no-frost', [[0, 1], [1, 3], [2, -0.5]]);
+
+  assert.equal(result.active.length, 0);
+});
+
+test('Homey events are tracked once for all resorts', async () => {
+  const readings = [[0, -4], [1, 2]];
+  for (const [hours, homey] of readings) {
+    await detectWeatherEvents('test-resort-a', { top: null, bottom: null, homey }, at(100 + hours));
+    await detectWeatherEvents('test-resort-b', { top: null, bottom: null, homey }, at(100 + hours));
+  }
+
+  const [a, b] = await Promise.all([
+    getWeatherEvents('test-resort-a', { days: 30 }, at(102)),
+    getWeatherEvents('test-resort-b', { days: 30 }, at(102))
+  ]);
+  assert.equal(a.active.filter(event => event.series === 'homey').length, 1);
+  assert.deepEqual(a.active.map(event => event.id), b.active.map(event => event.id));
+});
+
+test('concurrent refreshes record a thaw once', async () => {
+  await detectWeatherEvents('test-concurrent', { top: -3, bottom: null, homey: null }, at(200));
+  const results = await Promise.all([0, 1, 2].map(() =>
+    detectWeatherEvents('test-concurrent', { top: 2, bottom: null, homey: null }, at(201))
+  ));
+
+  assert.equal(results.flatMap(result => result.started).length, 1);
+  const { events } = await getWeatherEvents('test-concurrent', { days: 30 }, at(201));
+  assert.equal(events.filter(event => event.series === 'top').length, 1);
+});